@@ -3,21 +3,43 @@
  * Çok kolay kurulum ve kullanım için hazırlanmıştır
  */
 
+const net = require('net');
+const crypto = require('crypto');
 const axios = require('axios');
 
+// trustedProxies içinde isimle kullanılabilen aralıklar
+const PROXY_PRESETS = {
+    loopback: ['127.0.0.0/8', '::1/128'],
+    private: ['10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16', '100.64.0.0/10', '169.254.0.0/16', 'fc00::/7', 'fe80::/10']
+};
+
 class GuardianMiddleware {
     constructor(options = {}) {
         this.guardianUrl = options.guardianUrl || process.env.GUARDIAN_URL;
         this.timeout = options.timeout || 5000;
+        // Sadece bu proxy'lerin eklediği adreslere güvenilir (CIDR, 'loopback', 'private')
+        this.trustedProxies = this.buildTrustedProxies(options.trustedProxies || ['loopback', 'private']);
+        this.proxyHeader = options.proxyHeader || 'x-forwarded-for'; // veya 'forwarded'
         this.retries = options.retries || 2;
         this.enableCache = options.cache !== false;
         this.cacheTTL = options.cacheTTL || 300000; // 5 dakika
         this.cache = new Map();
+        // İmzalı karar token'ları: true (EdDSA, açık anahtarlar Guardian'dan) veya
+        // { secrets: { <kid>: '<HMAC secret>' }, cookieName, refreshInterval }
+        this.verdictTokens = options.verdictTokens ? {
+            secrets: {},
+            cookieName: 'guardian_verdict',
+            header: 'x-guardian-token',
+            refreshInterval: 60000,
+            ...(options.verdictTokens === true ? {} : options.verdictTokens)
+        } : null;
+        this.tokenKeys = null;
         this.stats = {
             total: 0,
             blocked: 0,
             allowed: 0,
-            errors: 0
+            errors: 0,
+            tokenHits: 0
         };
 
         if (!this.guardianUrl) {
@@ -29,6 +51,12 @@ class GuardianMiddleware {
             setInterval(() => this.clearExpiredCache(), 60000);
         }
 
+        // Anahtarlar ve iptal listesi periyodik yenilenir, istek başına ağ isteği yok
+        if (this.verdictTokens) {
+            this.refreshTokenKeys();
+            setInterval(() => this.refreshTokenKeys(), this.verdictTokens.refreshInterval).unref();
+        }
+
         console.log(`🛡️ Guardian Middleware initialized: ${this.guardianUrl}`);
     }
 
@@ -40,6 +68,15 @@ class GuardianMiddleware {
                 const userAgent = req.headers['user-agent'] || '';
                 const cacheKey = `${clientIP}:${userAgent}`;
 
+                // Geçerli karar token'ı varsa Guardian'a sormaya gerek yok
+                if (this.verdictTokens) {
+                    const verdict = this.verifyVerdictToken(this.getVerdictToken(req), clientIP, userAgent);
+                    if (verdict) {
+                        this.stats.tokenHits++;
+                        return this.handleGuardianResponse(verdict, req, res, next);
+                    }
+                }
+
                 // Cache kontrolü
                 if (this.enableCache && this.cache.has(cacheKey)) {
                     const cached = this.cache.get(cacheKey);
@@ -50,7 +87,11 @@ class GuardianMiddleware {
                 }
 
                 // Guardian'a istek gönder
-                const result = await this.checkWithGuardian(clientIP, userAgent);
+                const { data: result, token } = await this.checkWithGuardian(clientIP, userAgent);
+
+                if (this.verdictTokens && token) {
+                    this.setVerdictCookie(res, token);
+                }
                 
                 // Cache'e kaydet
                 if (this.enableCache) {
@@ -87,7 +128,7 @@ class GuardianMiddleware {
                 );
 
                 if (response.data && response.data.success) {
-                    return response.data.data;
+                    return response.data;
                 }
             } catch (error) {
                 lastError = error;
@@ -129,13 +170,155 @@ class GuardianMiddleware {
         return next();
     }
 
+    async refreshTokenKeys() {
+        try {
+            const response = await axios.get(`${this.guardianUrl}/__guardian/tokens`, { timeout: this.timeout });
+            this.tokenKeys = response.data.data;
+        } catch (error) {
+            // Eski anahtarlarla devam edilir; hiç yoksa her istek Guardian'a gider
+            console.error('Guardian token keys could not be refreshed:', error.message);
+        }
+    }
+
+    getVerdictToken(req) {
+        const { cookieName, header } = this.verdictTokens;
+        const cookie = (req.headers.cookie || '')
+            .split(';')
+            .map(part => part.trim())
+            .find(part => part.startsWith(`${cookieName}=`));
+
+        if (cookie) {
+            // Bozuk kodlanmış cookie yok sayılır
+            try {
+                return decodeURIComponent(cookie.slice(cookieName.length + 1));
+            } catch (error) {
+                // header'a bak
+            }
+        }
+        return req.headers[header] || null;
+    }
+
+    setVerdictCookie(res, token) {
+        const { exp } = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString());
+        res.cookie(this.verdictTokens.cookieName, token, {
+            httpOnly: true,
+            sameSite: 'lax',
+            maxAge: exp * 1000 - Date.now()
+        });
+    }
+
+    tokenDigest(value) {
+        return crypto.createHash('sha256').update(String(value || '')).digest('base64url').slice(0, 16);
+    }
+
+    /**
+     * Guardian'ın imzaladığı kararı yerelde doğrula. Geçerliyse analiz
+     * özeti, değilse (imza, süre, istemci, iptal) null döner.
+     */
+    verifyVerdictToken(token, ip, userAgent) {
+        const parts = token ? token.split('.') : [];
+        if (parts.length !== 3 || !this.tokenKeys) return null;
+
+        try {
+            const header = JSON.parse(Buffer.from(parts[0], 'base64url').toString());
+            const payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString());
+            const data = `${parts[0]}.${parts[1]}`;
+
+            // Guardian'ın yayınlamadığı (döndürülüp kaldırılmış) anahtarlar kabul edilmez
+            const key = this.tokenKeys.keys.find(item => item.kid === header.kid && item.alg === header.alg);
+            if (!key) return null;
+
+            let valid = false;
+            if (key.alg === 'EdDSA') {
+                valid = crypto.verify(null, Buffer.from(data), key.publicKey, Buffer.from(parts[2], 'base64url'));
+            } else if (this.verdictTokens.secrets[key.kid]) {
+                const expected = Buffer.from(crypto.createHmac('sha256', this.verdictTokens.secrets[key.kid]).update(data).digest('base64url'));
+                const actual = Buffer.from(parts[2]);
+                valid = expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+            }
+
+            const { revoked } = this.tokenKeys;
+            const ipHash = this.tokenDigest(payload.ip);
+            if (!valid ||
+                payload.exp * 1000 <= Date.now() ||
+                payload.ip !== ip ||
+                payload.ua !== this.tokenDigest(userAgent) ||
+                revoked.tokens.includes(payload.jti) ||
+                revoked.ips.some(entry => entry.hash === ipHash && payload.iat <= entry.before)) {
+                return null;
+            }
+
+            return {
+                ip: payload.ip,
+                isBlocked: payload.decision === 'block',
+                challenge: payload.decision === 'challenge',
+                reason: payload.reason,
+                riskScore: payload.score,
+                verdictToken: payload
+            };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Proxy zincirini sağdan sola yürü: güvenilen proxy'leri atla, ilk
+     * güvenilmeyen adres istemcidir. İstemci X-Forwarded-For'a istediğini
+     * yazabildiği için en soldaki değere asla doğrudan güvenilmez.
+     */
     getClientIP(req) {
-        return req.headers['x-forwarded-for']?.split(',')[0]?.trim() ||
-               req.headers['x-real-ip'] ||
-               req.connection?.remoteAddress ||
-               req.socket?.remoteAddress ||
-               req.ip ||
-               '127.0.0.1';
+        const header = req.headers[this.proxyHeader];
+        const hops = header
+            ? (this.proxyHeader === 'forwarded' ? this.parseForwarded(header) : header.split(','))
+            : [];
+        hops.push(req.socket?.remoteAddress || req.connection?.remoteAddress || '127.0.0.1');
+
+        const chain = hops.map(hop => this.normalizeIP(hop));
+        let index = chain.length - 1;
+        while (index > 0 && this.isTrustedProxy(chain[index]) && net.isIP(chain[index - 1])) {
+            index--;
+        }
+        return chain[index];
+    }
+
+    // RFC 7239: Forwarded: for=192.0.2.60;proto=http, for="[2001:db8::1]:4711"
+    parseForwarded(header) {
+        return header.split(',').map(element => {
+            const pair = element.split(';').map(param => param.trim())
+                .find(param => param.toLowerCase().startsWith('for='));
+            return pair ? pair.slice(4).replace(/^"(.*)"$/, '$1') : 'unknown';
+        });
+    }
+
+    buildTrustedProxies(ranges) {
+        const blockList = new net.BlockList();
+        ranges.flatMap(range => PROXY_PRESETS[range] || [range]).forEach(range => {
+            const [address, prefix] = range.split('/');
+            const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+            blockList.addSubnet(address, Number(prefix ?? (type === 'ipv6' ? 128 : 32)), type);
+        });
+        return blockList;
+    }
+
+    isTrustedProxy(ip) {
+        const version = net.isIP(ip);
+        return version !== 0 && this.trustedProxies.check(ip, version === 6 ? 'ipv6' : 'ipv4');
+    }
+
+    // Guardian'ın token'a yazdığı biçim (src/utils/ip-utils.js normalizeIP) ile aynı
+    normalizeIP(ip) {
+        const value = String(ip).trim();
+        const bracketed = value.match(/^\[([^\]]+)\](?::\d+)?$/);
+
+        let address = (bracketed ? bracketed[1] : value)
+            .replace(/^([\d.]+):\d+$/, '$1')                    // 1.2.3.4:port
+            .replace(/%.*$/, '');                               // fe80::1%eth0
+
+        // RFC 5952: küçük harf, baştaki sıfırlar atılır, en uzun sıfır dizisi ::
+        if (net.isIPv6(address)) {
+            address = new net.SocketAddress({ address, family: 'ipv6' }).address;
+        }
+        return address.replace(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i, '$1');   // ::ffff:1.2.3.4
     }
 
     clearExpiredCache() {
@@ -152,6 +335,7 @@ class GuardianMiddleware {
         return {
             ...this.stats,
             cacheSize: this.cache.size,
+            tokenKeys: this.tokenKeys ? this.tokenKeys.keys.length : 0,
             blockRate: this.stats.total > 0 ? (this.stats.blocked / this.stats.total * 100).toFixed(2) + '%' : '0%'
         };
     }
@@ -435,9 +435,11 @@ class MultiTenantManager {
                 blockVpnTor: true,
                 strictMode: false,
                 riskThreshold: 70,
-                geoBlocking: {
-                    enabled: false,
-                    blockedCountries: []
+                geoPolicy: {
+                    mode: 'off',
+                    locations: [],
+                    allowUnknown: true,
+                    scores: {}
                 },
                 rateLimiting: {
                     enabled: true,
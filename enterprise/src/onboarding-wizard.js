@@ -7,6 +7,7 @@ const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 const logger = require('../../src/utils/logger');
+const { compileRules } = require('../../src/rules/compiler');
 
 class OnboardingWizard {
     constructor() {
@@ -137,13 +138,25 @@ class OnboardingWizard {
     }
 
     async processSecurityStep(data) {
+        // Özel kurallar motorun kabul edeceği biçimde olmalı
+        const { errors } = compileRules(data.customRules || []);
+        if (errors.length > 0) {
+            return {
+                success: false,
+                error: 'Invalid custom rules',
+                details: errors.map(error => `customRules${error}`)
+            };
+        }
+
         const securityConfig = {
             blockVpnTor: data.blockVpnTor !== false,
             strictMode: data.strictMode === true,
             riskThreshold: data.riskThreshold || 70,
-            geoBlocking: {
-                enabled: data.geoBlocking?.enabled || false,
-                blockedCountries: data.geoBlocking?.countries || []
+            geoPolicy: {
+                mode: data.geoBlocking?.enabled ? 'deny' : 'off',
+                locations: data.geoBlocking?.countries || [],
+                allowUnknown: true,
+                scores: {}
             },
             rateLimiting: {
                 enabled: true,
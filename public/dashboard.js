@@ -72,6 +72,7 @@ class Dashboard {
         document.getElementById('totalRequests').textContent = requests.totalRequests.toLocaleString();
         document.getElementById('blockedRequests').textContent = requests.blockedRequests.toLocaleString();
         document.getElementById('allowedRequests').textContent = requests.allowedRequests.toLocaleString();
+        document.getElementById('wouldBlockRequests').textContent = requests.wouldBlockRequests.toLocaleString();
         document.getElementById('avgRiskScore').textContent = Math.round(requests.avgRiskScore);
 
         // System stats
@@ -82,6 +83,7 @@ class Dashboard {
 
         // Block reasons
         this.updateBlockReasons(requests.topBlockReasons);
+        this.updateBlockReasons(requests.topWouldBlockReasons, 'wouldBlockReasons', 'No would-block requests');
         
         // Top countries
         this.updateTopCountries(requests.topCountries);
@@ -104,8 +106,8 @@ class Dashboard {
             const time = new Date(log.timestamp).toLocaleTimeString();
             const country = log.analysis?.details?.country || '-';
             const riskScore = log.riskScore || 0;
-            const status = log.blocked ? 'BLOCKED' : 'ALLOWED';
-            const reason = log.reason || '-';
+            const status = this.getStatus(log);
+            const reason = log.reason || log.shadow?.reason;
 
             row.innerHTML = `
                 <td>${time}</td>
@@ -113,15 +115,108 @@ class Dashboard {
                 <td>${country}</td>
                 <td><span class="risk-score ${this.getRiskClass(riskScore)}">${riskScore}</span></td>
                 <td><span class="status-badge ${log.blocked ? 'status-blocked' : 'status-allowed'}">${status}</span></td>
-                <td>${reason}</td>
+                <td>${reason ? this.formatReason(reason) : '-'}</td>
             `;
 
+            // Satıra tıklayınca skorun dökümü açılır
+            row.addEventListener('click', () => this.showAnalysis(log));
             tbody.appendChild(row);
         });
     }
 
-    updateBlockReasons(reasons) {
-        const container = document.getElementById('blockReasons');
+    showAnalysis(log) {
+        const analysis = log.analysis || {};
+        const signals = log.signals || analysis.signals || [];
+        const threshold = log.threshold || analysis.threshold;
+        const status = this.getStatus(log);
+        const rules = analysis.rules;
+        const shadow = log.shadow || analysis.shadow;
+
+        document.getElementById('analysisTitle').textContent = `${log.ip} - ${status}`;
+
+        const thresholdText = threshold
+            ? `${threshold.value} (${threshold.mode})`
+            : 'not applied (list or policy decision)';
+
+        const rows = signals.map(signal => `
+            <tr>
+                <td>${this.escapeHTML(this.formatReason(signal.signal))}</td>
+                <td><span class="signal-points ${signal.points < 0 ? 'negative' : ''}">${signal.points > 0 ? '+' : ''}${signal.points}</span></td>
+                <td>${this.escapeHTML(signal.source)}</td>
+                <td class="signal-evidence">${this.formatEvidence(signal.evidence)}</td>
+            </tr>
+        `).join('');
+
+        document.getElementById('analysisBody').innerHTML = `
+            <div class="status-grid analysis-summary">
+                <div class="status-item">
+                    <span class="status-label">Risk Score</span>
+                    <span class="risk-score ${this.getRiskClass(log.riskScore || 0)}">${log.riskScore || 0}</span>
+                </div>
+                <div class="status-item">
+                    <span class="status-label">Threshold</span>
+                    <span class="status-value">${thresholdText}</span>
+                </div>
+                <div class="status-item">
+                    <span class="status-label">Reason</span>
+                    <span class="status-value">${log.reason ? this.escapeHTML(this.formatReason(log.reason)) : '-'}</span>
+                </div>
+                ${rules ? `
+                <div class="status-item">
+                    <span class="status-label">Rules</span>
+                    <span class="status-value">${this.escapeHTML(rules.matched.join(', '))}${rules.decision ? ` (${this.escapeHTML(rules.decision.action)}: ${this.escapeHTML(rules.decision.id)})` : ''}</span>
+                </div>` : ''}
+                ${shadow ? `
+                <div class="status-item">
+                    <span class="status-label">Shadow (${this.escapeHTML(shadow.source)})</span>
+                    <span class="status-value">${shadow.isBlocked ? 'block' : (shadow.challenge ? 'challenge' : 'allow')}${shadow.reason ? `: ${this.escapeHTML(this.formatReason(shadow.reason))}` : ''} (risk ${shadow.riskScore})${shadow.rules ? ` - ${this.escapeHTML(shadow.rules.join(', '))}` : ''}</span>
+                </div>` : ''}
+            </div>
+            <div class="table-container">
+                <table class="logs-table">
+                    <thead>
+                        <tr>
+                            <th>Signal</th>
+                            <th>Points</th>
+                            <th>Source</th>
+                            <th>Evidence</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows || '<tr><td colspan="4" style="text-align: center; color: var(--text-muted);">No signals</td></tr>'}
+                    </tbody>
+                </table>
+            </div>
+        `;
+
+        document.getElementById('analysisModal').classList.add('show');
+    }
+
+    formatEvidence(evidence = {}) {
+        return Object.entries(evidence)
+            .filter(([, value]) => value !== null && value !== undefined && value !== '')
+            .map(([key, value]) => `${this.escapeHTML(key)}: ${this.escapeHTML(typeof value === 'object' ? JSON.stringify(value) : value)}`)
+            .join('<br>');
+    }
+
+    // User-Agent gibi değerler istemciden gelir, HTML olarak basılmaz
+    escapeHTML(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    getStatus(log) {
+        if (log.blocked) return 'BLOCKED';
+        if (log.analysis?.challenge) return 'CHALLENGED';
+        return log.wouldBlock ? 'WOULD BLOCK' : 'ALLOWED';
+    }
+
+    updateBlockReasons(reasons = {}, containerId = 'blockReasons', emptyText = 'No blocked requests') {
+        const container = document.getElementById(containerId);
         container.innerHTML = '';
 
         const sorted = Object.entries(reasons)
@@ -139,7 +234,7 @@ class Dashboard {
         });
 
         if (sorted.length === 0) {
-            container.innerHTML = '<p style="text-align: center; color: var(--text-muted);">No blocked requests</p>';
+            container.innerHTML = `<p style="text-align: center; color: var(--text-muted);">${emptyText}</p>`;
         }
     }
 
@@ -205,6 +300,21 @@ class Dashboard {
             'TOR_EXIT_NODE': 'Tor Exit Node',
             'VPN_PROXY_DETECTED': 'VPN/Proxy',
             'BAD_IP_REPUTATION': 'Bad Reputation',
+            'SUSPICIOUS_ASN': 'Suspicious ASN',
+            'IP_BLOCKLISTED': 'Blocklisted IP',
+            'ASN_BLOCKLISTED': 'Blocklisted ASN',
+            'COUNTRY_BLOCKLISTED': 'Blocklisted Country',
+            'IP_ALLOWLISTED': 'Allowlisted IP',
+            'ASN_ALLOWLISTED': 'Allowlisted ASN',
+            'COUNTRY_ALLOWLISTED': 'Allowlisted Country',
+            'GEO_BLOCKED': 'Geo Policy',
+            'RISKY_LOCATION': 'Risky Location',
+            'SUSPICIOUS_USER_AGENT': 'Suspicious User Agent',
+            'BOT_USER_AGENT': 'Bot User Agent',
+            'RULE_BLOCKED': 'Custom Rule',
+            'CUSTOM_RULE': 'Custom Rule',
+            'CHALLENGE_REQUIRED': 'Challenge Required',
+            'RATE_LIMITED': 'Rate Limited',
             'HIGH_RISK_SCORE': 'High Risk Score',
             'ANALYSIS_ERROR': 'Analysis Error'
         };
@@ -268,6 +378,12 @@ function refreshLogs() {
     window.dashboardInstance.loadLogs();
 }
 
+function closeAnalysis(event) {
+    // Arka plana ya da kapat butonuna tıklanınca kapat
+    if (event && event.target !== event.currentTarget) return;
+    document.getElementById('analysisModal').classList.remove('show');
+}
+
 // Initialize dashboard when page loads
 document.addEventListener('DOMContentLoaded', () => {
     window.dashboardInstance = new Dashboard();
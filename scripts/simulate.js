@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+
+/**
+ * Raliux Guardian - Policy what-if simulator
+ * Replays stored request logs (logs/requests-*.json) against a candidate
+ * config and prints the decisions that would change.
+ *
+ * Usage:
+ *   node scripts/simulate.js --config candidate.yml [--rules rules.yml]
+ *                            [--from 2026-10-18] [--to 2026-10-19T12:00:00Z]
+ *                            [--limit 10000] [--samples 5] [--log-dir logs] [--json]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const USAGE = 'Usage: node scripts/simulate.js [--config file] [--rules file] [--from date] [--to date] [--limit n] [--samples n] [--log-dir dir] [--json]';
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        const name = argv[i].replace(/^--/, '');
+        if (name === 'json' || name === 'help') {
+            args[name] = true;
+        } else {
+            args[name] = argv[++i];
+        }
+    }
+    return args;
+}
+
+function readYAML(file) {
+    return yaml.load(fs.readFileSync(file, 'utf8'), { schema: yaml.CORE_SCHEMA }) || {};
+}
+
+function printTop(title, items) {
+    if (items.length === 0) return;
+    console.log(`\n${title}:`);
+    items.forEach(({ value, count }) => console.log(`  ${String(count).padStart(6)}  ${value}`));
+}
+
+function printReport(report) {
+    const { baseline, candidate } = report;
+
+    console.log(`Window: ${report.window.from} - ${report.window.to}`);
+    console.log(`Requests replayed: ${report.total}`);
+    console.log(`Live:      ${baseline.block} block, ${baseline.challenge} challenge, ${baseline.allow} allow`);
+    console.log(`Candidate: ${candidate.block} block, ${candidate.challenge} challenge, ${candidate.allow} allow`);
+    console.log(`Decisions changed: ${report.flipped}`);
+    if (report.notReplayable > 0) {
+        console.log(`Not replayable (geo-blocked, no detector results): ${report.notReplayable}`);
+    }
+
+    Object.entries(report.flips).forEach(([change, count]) => console.log(`  ${change}: ${count}`));
+
+    printTop('Affected IPs', report.affected.ips);
+    printTop('Affected countries', report.affected.countries);
+    printTop('Reasons', report.affected.reasons);
+
+    Object.entries(report.samples).forEach(([change, samples]) => {
+        console.log(`\nSamples (${change}):`);
+        samples.forEach(sample => {
+            console.log(`  ${sample.timestamp} ${sample.ip} ${sample.method} ${sample.url}`);
+            console.log(`    ${sample.before.verdict} (${sample.before.reason || '-'}, ${sample.before.riskScore}) -> ` +
+                `${sample.after.verdict} (${sample.after.reason || '-'}, ${sample.after.riskScore})`);
+        });
+    });
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.help) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    const overrides = args.config ? readYAML(args.config) : {};
+    if (args.rules) {
+        const rules = readYAML(args.rules);
+        // Dosya doğrudan liste ya da "rules:" anahtarlı olabilir
+        overrides.rules = Array.isArray(rules) ? rules : rules.rules;
+    }
+
+    const to = args.to ? new Date(args.to) : new Date();
+    const from = args.from ? new Date(args.from) : new Date(to.getTime() - 24 * 60 * 60 * 1000);
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from > to) {
+        console.error('--from and --to must be dates with --from before --to');
+        return 1;
+    }
+
+    const logService = require('../src/services/log-service');
+    const policySimulator = require('../src/services/policy-simulator');
+    if (args['log-dir']) {
+        logService.logDir = path.resolve(args['log-dir']);
+    }
+
+    const { report, errors } = await policySimulator.run({
+        from,
+        to,
+        overrides,
+        limit: parseInt(args.limit) || undefined,
+        samples: parseInt(args.samples) || undefined
+    });
+
+    if (errors.length > 0) {
+        console.error(`Invalid candidate configuration:\n  - ${errors.join('\n  - ')}`);
+        return 1;
+    }
+
+    if (args.json) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        printReport(report);
+    }
+    return 0;
+}
+
+main()
+    .then(code => process.exit(code))
+    .catch(error => {
+        console.error(`Simulation failed: ${error.message}`);
+        process.exit(1);
+    });
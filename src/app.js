@@ -3,28 +3,69 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const path = require('path');
+const http = require('http');
 
 const logger = require('./utils/logger');
-const guardianMiddleware = require('./middleware/guardian');
+const config = require('./config');
+const { verify: guardianMiddleware, authRequest } = require('./middleware/guardian');
 const dashboardRoutes = require('./routes/dashboard');
 const apiRoutes = require('./routes/api');
 const mobileApiRoutes = require('./routes/mobile-api');
-const { initializeServices } = require('./services');
+const challengeRoutes = require('./routes/challenge');
+const tokenRoutes = require('./routes/tokens');
+const { CHALLENGE_PATH } = require('./utils/challenge-page');
+const { initializeServices, shutdownServices, reloadService, cacheService } = require('./services');
+const { createProxyProtocolServer } = require('./utils/proxy-protocol');
+
+const SHUTDOWN_TIMEOUT = 10000;
 
 class WebGuardian {
     constructor() {
+        this.config = this.loadConfig();
         this.app = express();
-        this.port = process.env.PORT || 3000;
+        this.port = this.config.guardian.port;
         this.setupMiddleware();
         this.setupRoutes();
+        this.setupSignals();
         this.initializeServices();
     }
 
+    setupSignals() {
+        // scripts/update_lists.sh liste güncellemesinden sonra SIGHUP gönderir
+        process.on('SIGHUP', () => {
+            logger.info('Received SIGHUP, reloading configuration and threat lists');
+            reloadService.reload('SIGHUP').catch(() => {
+                // Hata reload servisinde loglandı, eski ayarlarla devam
+            });
+        });
+
+        // Deploy/restart: yeni bağlantı alma, logları ve cache snapshot'ını yaz
+        ['SIGTERM', 'SIGINT'].forEach(signal => {
+            process.once(signal, () => this.shutdown(signal));
+        });
+    }
+
+    async shutdown(signal) {
+        logger.info(`Received ${signal}, shutting down`);
+        setTimeout(() => process.exit(1), SHUTDOWN_TIMEOUT).unref();
+
+        if (this.server) {
+            this.server.close();
+        }
+
+        try {
+            await shutdownServices();
+        } catch (error) {
+            logger.error('Error during shutdown:', error);
+        }
+        process.exit(0);
+    }
+
     setupMiddleware() {
         this.app.use(helmet());
         
-        // CORS disabled in production for security
-        if (process.env.NODE_ENV !== 'production') {
+        // CORS disabled in production for security (unless explicitly enabled)
+        if (process.env.NODE_ENV !== 'production' || this.config.security.corsEnabled) {
             this.app.use(cors());
         }
         
@@ -33,21 +74,40 @@ class WebGuardian {
         this.app.use(express.static(path.join(__dirname, '../public')));
     }
 
+    healthCheck(req, res) {
+        const cache = cacheService.getHealth();
+        res.json({
+            // Cache kesintisi istekleri durdurmaz, sadece raporlanır
+            status: cache.status === 'up' ? 'healthy' : 'degraded',
+            timestamp: new Date().toISOString(),
+            uptime: process.uptime(),
+            version: '1.0.0',
+            cache
+        });
+    }
+
     setupRoutes() {
+        const { endpoints } = this.config;
+
         // Production mode - only essential endpoints
         if (process.env.NODE_ENV === 'production') {
-            // Health check (always enabled)
-            this.app.get('/health', (req, res) => {
-                res.json({
-                    status: 'healthy',
-                    timestamp: new Date().toISOString(),
-                    uptime: process.uptime(),
-                    version: '1.0.0'
-                });
-            });
+            if (endpoints.health) {
+                this.app.get('/health', (req, res) => this.healthCheck(req, res));
+            }
 
             // Verify endpoint (main Guardian function)
-            this.app.use('/verify', guardianMiddleware);
+            if (endpoints.verify) {
+                this.app.use('/verify', guardianMiddleware);
+            }
+
+            // nginx auth_request: 204/401/403, boş gövde
+            this.app.all('/auth', authRequest);
+
+            // Proof-of-work challenge sayfası ve doğrulaması
+            this.app.use(CHALLENGE_PATH, challengeRoutes);
+
+            // Karar token'ları için anahtarlar ve iptal listesi
+            this.app.use('/__guardian/tokens', tokenRoutes);
 
             // License check - block all if invalid
             if (!this.isLicenseValid()) {
@@ -60,6 +120,14 @@ class WebGuardian {
                 return;
             }
 
+            // Admin API (listeler, reload, simülasyon, token iptali) canlı ortamda da gerekli
+            if (endpoints.dashboard) {
+                if (!this.config.dashboard.username) {
+                    logger.warn('endpoints.dashboard is enabled but dashboard.username is not set, admin API will reject every request');
+                }
+                this.app.use('/dashboard', dashboardRoutes);
+            }
+
             // Block all other endpoints in production
             this.app.all('*', (req, res) => {
                 res.status(404).json({
@@ -69,16 +137,44 @@ class WebGuardian {
             });
 
         } else {
-            // Development mode - all endpoints available
-            this.app.use('/api', guardianMiddleware);
+            // Development mode - endpoints toggled from config
+            if (endpoints.health) {
+                this.app.get('/health', (req, res) => this.healthCheck(req, res));
+            }
+
+            this.app.use(CHALLENGE_PATH, challengeRoutes);
+            this.app.use('/__guardian/tokens', tokenRoutes);
+            this.app.all('/auth', authRequest);
+
+            if (endpoints.api) {
+                this.app.use('/api', guardianMiddleware);
+            }
             
-            if (process.env.DASHBOARD_ENABLED === 'true') {
+            if (endpoints.dashboard) {
                 this.app.use('/dashboard', dashboardRoutes);
             }
             
-            this.app.use('/api', apiRoutes);
+            if (endpoints.api) {
+                this.app.use('/api', apiRoutes);
+            }
             this.app.use('/mobile-api', mobileApiRoutes);
-            this.app.all('*', guardianMiddleware);
+
+            // Geliştirmede diğer tüm yollar /verify gibi Guardian'dan geçer
+            if (endpoints.verify) {
+                this.app.all('*', guardianMiddleware);
+            }
+        }
+    }
+
+    loadConfig() {
+        try {
+            const settings = config.load();
+            logger.level = settings.logging.level;
+            logger.info(`Configuration loaded from ${config.sources.join(' < ')}`);
+            return settings;
+        } catch (error) {
+            logger.error(`❌ ${error.message}`);
+            process.exit(1);
         }
     }
 
@@ -93,9 +189,9 @@ class WebGuardian {
     }
 
     isLicenseValid() {
-        const licenseKey = process.env.LICENSE_KEY;
+        const { licenseKey } = this.config.guardian;
         if (!licenseKey) {
-            logger.error('LICENSE_KEY environment variable is required');
+            logger.error('LICENSE_KEY environment variable (guardian.license_key) is required');
             return false;
         }
         
@@ -115,8 +211,18 @@ class WebGuardian {
             process.exit(1);
         }
 
-        this.app.listen(this.port, () => {
+        // PROXY protocol dinleyici seviyesinde; değiştirmek yeniden başlatma gerektirir
+        const server = http.createServer(this.app);
+        const listener = this.config.trustedProxies.proxyProtocol
+            ? createProxyProtocolServer(server)
+            : server;
+
+        this.server = listener;
+        listener.listen(this.port, () => {
             logger.info(`🛡️  Raliux Web Guardian running on port ${this.port}`);
+            if (this.config.trustedProxies.proxyProtocol) {
+                logger.info('🔗 PROXY protocol enabled');
+            }
             logger.info(`🔒 Mode: ${process.env.NODE_ENV === 'production' ? 'PRODUCTION' : 'DEVELOPMENT'}`);
             logger.info(`🌐 Health: http://localhost:${this.port}/health`);
             logger.info(`🔍 Verify: http://localhost:${this.port}/verify`);
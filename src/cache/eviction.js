@@ -0,0 +1,110 @@
+/**
+ * Eviction order for the memory cache
+ * Both policies are O(1) per operation; victim() names the key to drop
+ * next when the cache is over its size limit.
+ */
+
+// En uzun süredir okunmayan anahtar önce çıkar (Map ekleme sırası)
+class LruPolicy {
+    constructor() {
+        this.keys = new Map();
+    }
+
+    add(key) {
+        this.keys.set(key, true);
+    }
+
+    touch(key) {
+        this.keys.delete(key);
+        this.keys.set(key, true);
+    }
+
+    remove(key) {
+        this.keys.delete(key);
+    }
+
+    victim() {
+        return this.keys.keys().next().value;
+    }
+
+    clear() {
+        this.keys.clear();
+    }
+}
+
+// En az okunan anahtar önce çıkar; eşitlikte en eskisi.
+// Sayaçlar artan sırada bağlı liste: en küçüğü her zaman baştadır
+class LfuPolicy {
+    constructor() {
+        this.nodes = new Map();
+        this.head = null;
+    }
+
+    add(key) {
+        const node = this.head?.count === 1 ? this.head : this.insertAfter(null, 1);
+        node.keys.set(key, true);
+        this.nodes.set(key, node);
+    }
+
+    touch(key) {
+        const node = this.nodes.get(key);
+        if (!node) return;
+
+        const next = node.next?.count === node.count + 1 ? node.next : this.insertAfter(node, node.count + 1);
+        next.keys.set(key, true);
+        this.nodes.set(key, next);
+        this.detach(key, node);
+    }
+
+    remove(key) {
+        const node = this.nodes.get(key);
+        if (!node) return;
+
+        this.nodes.delete(key);
+        this.detach(key, node);
+    }
+
+    victim() {
+        return this.head?.keys.keys().next().value;
+    }
+
+    clear() {
+        this.nodes.clear();
+        this.head = null;
+    }
+
+    // previous null ise listenin başına eklenir
+    insertAfter(previous, count) {
+        const node = { count, keys: new Map(), prev: previous, next: previous ? previous.next : this.head };
+        if (node.next) node.next.prev = node;
+        if (previous) previous.next = node;
+        else this.head = node;
+        return node;
+    }
+
+    detach(key, node) {
+        node.keys.delete(key);
+        if (node.keys.size > 0) return;
+
+        if (node.prev) node.prev.next = node.next;
+        else this.head = node.next;
+        if (node.next) node.next.prev = node.prev;
+    }
+}
+
+const POLICIES = {
+    lru: LruPolicy,
+    lfu: LfuPolicy
+};
+
+function createEvictionPolicy(name) {
+    const Policy = POLICIES[name];
+    if (!Policy) {
+        throw new Error(`Unknown cache eviction policy "${name}"`);
+    }
+    return new Policy();
+}
+
+module.exports = {
+    createEvictionPolicy
+};
@@ -0,0 +1,28 @@
+/**
+ * Cache backends
+ * Every store implements connect, get, set, del, entries(prefix), clear,
+ * health, getStats and close; cache.backend picks one at startup
+ */
+
+const MemoryStore = require('./memory-store');
+const RedisStore = require('./redis-store');
+
+const STORES = {
+    memory: MemoryStore,
+    redis: RedisStore
+};
+
+/**
+ * @param {import('../config').GuardianConfig['cache']} settings
+ */
+function createStore(settings) {
+    const Store = STORES[settings.backend];
+    if (!Store) {
+        throw new Error(`Unknown cache backend "${settings.backend}"`);
+    }
+    return new Store(settings);
+}
+
+module.exports = {
+    createStore
+};
@@ -0,0 +1,148 @@
+const { createEvictionPolicy } = require('./eviction');
+const { parseSize } = require('../utils/size');
+
+const SWEEP_INTERVAL = 120000; // 2 dakikada bir temizlik
+// Map girdisi ve metadata için tahmini sabit maliyet
+const ENTRY_OVERHEAD = 96;
+
+/**
+ * In-process cache bounded by cache.maxSize.memory. Entry sizes are
+ * estimated from their JSON form; when a write goes over the limit the
+ * least recently (lru) or least frequently (lfu) used entries are evicted.
+ * Fast, but every Guardian replica has its own copy.
+ */
+class MemoryStore {
+    constructor(settings) {
+        this.name = 'memory';
+        this.defaultTtl = settings.ttl.ipAnalysis;
+        this.maxBytes = parseSize(settings.maxSize.memory);
+        this.policyName = settings.eviction;
+        this.policy = createEvictionPolicy(settings.eviction);
+        this.items = new Map();
+        this.bytes = 0;
+        this.evictions = 0;
+        this.expirations = 0;
+        this.rejected = 0;
+        this.sweepTimer = null;
+    }
+
+    async connect() {
+        this.sweepTimer = setInterval(() => this.sweep(), SWEEP_INTERVAL);
+        this.sweepTimer.unref();
+    }
+
+    async get(key) {
+        const item = this.items.get(key);
+        if (!item) return undefined;
+
+        if (item.expiresAt <= Date.now()) {
+            this.expire(key);
+            return undefined;
+        }
+
+        this.policy.touch(key);
+        return item.value;
+    }
+
+    async set(key, value, ttl = this.defaultTtl) {
+        const size = this.sizeOf(key, value);
+        // Sınırdan büyük tek bir girdi tüm cache'i boşaltmasın
+        if (size > this.maxBytes) {
+            this.rejected++;
+            this.remove(key);
+            return false;
+        }
+
+        this.remove(key);
+        this.items.set(key, { value, size, expiresAt: Date.now() + ttl * 1000 });
+        this.policy.add(key);
+        this.bytes += size;
+
+        while (this.bytes > this.maxBytes) {
+            this.remove(this.policy.victim());
+            this.evictions++;
+        }
+        return true;
+    }
+
+    async del(keys) {
+        return [].concat(keys).filter(key => this.remove(key)).length;
+    }
+
+    /**
+     * Keys with the prefix and their values.
+     * @returns {Promise<Array<[string, any]>>}
+     */
+    async entries(prefix) {
+        const now = Date.now();
+        return [...this.items]
+            .filter(([key, item]) => key.startsWith(prefix) && item.expiresAt > now)
+            .map(([key, item]) => [key, item.value]);
+    }
+
+    /**
+     * Live entries with their absolute expiry, for snapshots.
+     * @returns {Array<[string, any, number]>}
+     */
+    dump() {
+        const now = Date.now();
+        return [...this.items]
+            .filter(([, item]) => item.expiresAt > now)
+            .map(([key, item]) => [key, item.value, item.expiresAt]);
+    }
+
+    async clear() {
+        this.items.clear();
+        this.policy.clear();
+        this.bytes = 0;
+    }
+
+    sizeOf(key, value) {
+        const json = JSON.stringify(value);
+        return Buffer.byteLength(key) + (json ? Buffer.byteLength(json) : 0) + ENTRY_OVERHEAD;
+    }
+
+    remove(key) {
+        const item = this.items.get(key);
+        if (!item) return false;
+
+        this.items.delete(key);
+        this.policy.remove(key);
+        this.bytes -= item.size;
+        return true;
+    }
+
+    expire(key) {
+        this.remove(key);
+        this.expirations++;
+    }
+
+    sweep(now = Date.now()) {
+        this.items.forEach((item, key) => {
+            if (item.expiresAt <= now) this.expire(key);
+        });
+    }
+
+    health() {
+        return { backend: this.name, status: 'up' };
+    }
+
+    getStats() {
+        return {
+            keys: this.items.size,
+            bytes: this.bytes,
+            maxBytes: this.maxBytes,
+            usage: this.bytes / this.maxBytes,
+            eviction: this.policyName,
+            evictions: this.evictions,
+            expirations: this.expirations,
+            rejected: this.rejected
+        };
+    }
+
+    async close() {
+        clearInterval(this.sweepTimer);
+    }
+}
+
+module.exports = MemoryStore;
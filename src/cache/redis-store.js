@@ -0,0 +1,159 @@
+const RespClient = require('./resp-client');
+const logger = require('../utils/logger');
+
+const HEALTH_INTERVAL = 10000;
+const SCAN_COUNT = 500;
+
+/**
+ * Shared cache on a Redis-protocol server, so every Guardian replica sees
+ * the same entries. Keys are namespaced with cache.redis.keyPrefix and
+ * values stored as JSON. While the server is unreachable reads miss and
+ * writes are dropped; the client reconnects in the background.
+ */
+class RedisStore {
+    constructor(settings) {
+        const { url, keyPrefix, connectTimeout, commandTimeout } = settings.redis;
+
+        this.name = 'redis';
+        this.prefix = keyPrefix;
+        this.client = new RespClient({ url, connectTimeout, commandTimeout });
+        this.target = `${this.client.host}:${this.client.port}/${this.client.db}`;
+        this.state = {
+            status: 'connecting',
+            connectedAt: null,
+            lastError: null,
+            lastErrorAt: null,
+            latencyMs: null
+        };
+        this.keys = null;
+        this.healthTimer = null;
+
+        this.client.on('ready', () => {
+            this.state.status = 'up';
+            this.state.connectedAt = new Date().toISOString();
+            logger.info(`Redis cache connected (${this.target})`);
+        });
+        this.client.on('end', () => {
+            this.state.status = 'down';
+            logger.warn(`Redis cache connection lost (${this.target}), reconnecting`);
+        });
+        this.client.on('error', error => this.recordError(error));
+    }
+
+    recordError(error) {
+        this.state.lastError = error.message;
+        this.state.lastErrorAt = new Date().toISOString();
+        if (!this.client.ready) {
+            this.state.status = 'down';
+        }
+    }
+
+    async connect() {
+        this.healthTimer = setInterval(() => this.ping(), HEALTH_INTERVAL);
+        this.healthTimer.unref();
+
+        try {
+            await this.client.connect();
+            await this.ping();
+        } catch (error) {
+            // Cache olmadan da çalışılır; istemci arka planda yeniden bağlanır
+            logger.warn(`Redis cache unavailable (${this.target}): ${error.message}`);
+        }
+    }
+
+    async ping() {
+        if (!this.client.ready) return;
+
+        const startedAt = Date.now();
+        try {
+            await this.client.command('PING');
+            this.state.latencyMs = Date.now() - startedAt;
+            // getStats senkron; anahtar sayısı sağlık kontrolünde yenilenir
+            this.keys = (await this.scan(`${this.escape(this.prefix)}*`)).length;
+        } catch (error) {
+            this.recordError(error);
+        }
+    }
+
+    async get(key) {
+        const value = await this.client.command('GET', this.prefix + key);
+        return value === null ? undefined : JSON.parse(value);
+    }
+
+    async set(key, value, ttl) {
+        await this.client.command('SET', this.prefix + key, JSON.stringify(value), 'EX', Math.max(1, Math.ceil(ttl)));
+        return true;
+    }
+
+    async del(keys) {
+        const list = [].concat(keys);
+        if (list.length === 0) return 0;
+        return this.client.command('DEL', ...list.map(key => this.prefix + key));
+    }
+
+    // KEYS sunucuyu bloklar; SCAN ile parça parça taranır
+    async scan(pattern) {
+        const keys = [];
+        let cursor = '0';
+        do {
+            const [next, batch] = await this.client.command('SCAN', cursor, 'MATCH', pattern, 'COUNT', SCAN_COUNT);
+            keys.push(...batch);
+            cursor = next;
+        } while (cursor !== '0');
+
+        return [...new Set(keys)].map(key => key.slice(this.prefix.length));
+    }
+
+    /**
+     * Keys with the prefix and their values.
+     * @returns {Promise<Array<[string, any]>>}
+     */
+    async entries(prefix) {
+        const keys = await this.scan(`${this.escape(this.prefix + prefix)}*`);
+        if (keys.length === 0) return [];
+
+        const values = await this.client.command('MGET', ...keys.map(key => this.prefix + key));
+        return keys
+            .map((key, i) => [key, values[i] === null ? undefined : JSON.parse(values[i])])
+            .filter(([, value]) => value !== undefined);
+    }
+
+    // Sadece Guardian anahtarları silinir, paylaşılan veritabanı boşaltılmaz
+    async clear() {
+        const keys = await this.scan(`${this.escape(this.prefix)}*`);
+        for (let i = 0; i < keys.length; i += SCAN_COUNT) {
+            await this.del(keys.slice(i, i + SCAN_COUNT));
+        }
+    }
+
+    escape(pattern) {
+        return pattern.replace(/[*?[\]\\]/g, '\\$&');
+    }
+
+    health() {
+        return { backend: this.name, target: this.target, ...this.state };
+    }
+
+    // Bellek sınırı ve eviction Redis'te (maxmemory); burada bilinmiyor
+    getStats() {
+        return {
+            keys: this.keys,
+            bytes: null,
+            maxBytes: null,
+            usage: null,
+            eviction: null,
+            evictions: null,
+            expirations: null,
+            rejected: null,
+            connected: this.client.ready,
+            latencyMs: this.state.latencyMs
+        };
+    }
+
+    async close() {
+        clearInterval(this.healthTimer);
+        this.client.close();
+    }
+}
+
+module.exports = RedisStore;
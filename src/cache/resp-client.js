@@ -0,0 +1,235 @@
+/**
+ * Minimal Redis (RESP2) client
+ * One pipelined connection with AUTH/SELECT from the URL, per-command
+ * timeouts and reconnect with backoff. Works with any Redis-protocol
+ * server (Redis, Valkey, KeyDB, Dragonfly).
+ */
+
+const net = require('net');
+const tls = require('tls');
+const { EventEmitter } = require('events');
+
+const MAX_BACKOFF = 5000;
+
+// RESP2 yanıtı; eksik veri varsa null (bir sonraki paketi bekle)
+function parseReply(buffer, offset) {
+    const end = buffer.indexOf('\r\n', offset);
+    if (end === -1) return null;
+
+    const type = String.fromCharCode(buffer[offset]);
+    const line = buffer.toString('utf8', offset + 1, end);
+    const next = end + 2;
+
+    switch (type) {
+        case '+':
+            return { value: line, offset: next };
+        case '-':
+            return { value: new Error(line), offset: next };
+        case ':':
+            return { value: Number(line), offset: next };
+        case '$': {
+            const length = Number(line);
+            if (length === -1) return { value: null, offset: next };
+            if (buffer.length < next + length + 2) return null;
+            return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+        }
+        case '*': {
+            const count = Number(line);
+            if (count === -1) return { value: null, offset: next };
+
+            const items = [];
+            let position = next;
+            for (let i = 0; i < count; i++) {
+                const item = parseReply(buffer, position);
+                if (!item) return null;
+                items.push(item.value);
+                position = item.offset;
+            }
+            return { value: items, offset: position };
+        }
+        default:
+            throw new Error(`Unexpected RESP reply type "${type}"`);
+    }
+}
+
+function encodeCommand(args) {
+    const parts = [`*${args.length}\r\n`];
+    args.forEach(arg => {
+        const value = String(arg);
+        parts.push(`$${Buffer.byteLength(value)}\r\n${value}\r\n`);
+    });
+    return parts.join('');
+}
+
+/**
+ * Emits 'ready' after connecting (and AUTH/SELECT), 'error' on connection
+ * errors and 'end' when the connection drops. Commands fail fast while
+ * disconnected instead of queueing.
+ */
+class RespClient extends EventEmitter {
+    /**
+     * @param {{ url: string, connectTimeout?: number, commandTimeout?: number }} options
+     */
+    constructor({ url, connectTimeout = 2000, commandTimeout = 1000 }) {
+        super();
+        const parsed = new URL(url);
+        if (!['redis:', 'rediss:'].includes(parsed.protocol)) {
+            throw new Error(`Unsupported Redis URL protocol "${parsed.protocol}"`);
+        }
+
+        this.host = parsed.hostname || 'localhost';
+        this.port = Number(parsed.port) || 6379;
+        this.tls = parsed.protocol === 'rediss:';
+        this.username = decodeURIComponent(parsed.username);
+        this.password = decodeURIComponent(parsed.password);
+        this.db = Number(parsed.pathname.slice(1)) || 0;
+        this.connectTimeout = connectTimeout;
+        this.commandTimeout = commandTimeout;
+
+        this.socket = null;
+        this.ready = false;
+        this.closed = false;
+        this.pending = [];
+        this.buffer = Buffer.alloc(0);
+        this.attempts = 0;
+        this.reconnectTimer = null;
+    }
+
+    connect() {
+        this.closed = false;
+
+        return new Promise((resolve, reject) => {
+            const options = { host: this.host, port: this.port, servername: this.host };
+            const socket = this.tls ? tls.connect(options) : net.connect(options);
+            const connectEvent = this.tls ? 'secureConnect' : 'connect';
+            this.socket = socket;
+
+            socket.setNoDelay(true);
+            socket.setTimeout(this.connectTimeout, () => {
+                socket.destroy(new Error(`Connection to ${this.host}:${this.port} timed out`));
+            });
+
+            socket.once(connectEvent, async () => {
+                socket.setTimeout(0);
+                try {
+                    await this.handshake();
+                    this.ready = true;
+                    this.attempts = 0;
+                    this.emit('ready');
+                    resolve();
+                } catch (error) {
+                    socket.destroy(error);
+                }
+            });
+
+            socket.on('data', chunk => this.onData(chunk));
+            socket.on('error', error => {
+                this.emit('error', error);
+                reject(error);
+            });
+            socket.on('close', () => this.onClose(socket));
+        });
+    }
+
+    // Bağlantı kurulmadan önce ready=false; handshake komutları doğrudan gönderilir
+    async handshake() {
+        if (this.password) {
+            await this.send(this.username ? ['AUTH', this.username, this.password] : ['AUTH', this.password]);
+        }
+        if (this.db) {
+            await this.send(['SELECT', this.db]);
+        }
+    }
+
+    onData(chunk) {
+        this.buffer = this.buffer.length > 0 ? Buffer.concat([this.buffer, chunk]) : chunk;
+
+        let offset = 0;
+        while (offset < this.buffer.length) {
+            let reply;
+            try {
+                reply = parseReply(this.buffer, offset);
+            } catch (error) {
+                this.socket.destroy(error);
+                return;
+            }
+            if (!reply) break;
+
+            offset = reply.offset;
+            const command = this.pending.shift();
+            if (!command) continue;
+
+            clearTimeout(command.timer);
+            if (reply.value instanceof Error) {
+                command.reject(reply.value);
+            } else {
+                command.resolve(reply.value);
+            }
+        }
+
+        this.buffer = this.buffer.subarray(offset);
+    }
+
+    onClose(socket) {
+        if (socket !== this.socket) return;
+
+        const wasReady = this.ready;
+        this.ready = false;
+        this.buffer = Buffer.alloc(0);
+        this.pending.splice(0).forEach(command => {
+            clearTimeout(command.timer);
+            command.reject(new Error('Connection closed'));
+        });
+
+        if (wasReady) this.emit('end');
+        if (!this.closed) this.scheduleReconnect();
+    }
+
+    scheduleReconnect() {
+        if (this.reconnectTimer) return;
+
+        this.attempts++;
+        const delay = Math.min(this.attempts * 500, MAX_BACKOFF);
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.connect().catch(() => {});
+        }, delay);
+        this.reconnectTimer.unref();
+    }
+
+    send(args) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                // Yanıt sırası bozulmasın diye bağlantı yeniden kurulur
+                reject(new Error(`Redis command ${args[0]} timed out`));
+                this.socket.destroy();
+            }, this.commandTimeout);
+            timer.unref();
+
+            this.pending.push({ resolve, reject, timer });
+            this.socket.write(encodeCommand(args));
+        });
+    }
+
+    /**
+     * Run a command, e.g. command('SET', key, value, 'EX', 60).
+     */
+    command(...args) {
+        if (!this.ready) {
+            return Promise.reject(new Error('Redis is not connected'));
+        }
+        return this.send(args);
+    }
+
+    close() {
+        this.closed = true;
+        this.ready = false;
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        if (this.socket) {
+            this.socket.end();
+        }
+    }
+}
+
+module.exports = RespClient;
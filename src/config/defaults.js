@@ -0,0 +1,130 @@
+/**
+ * Built-in configuration defaults
+ * config/guardian.json, config.yml and environment variables are layered on top
+ */
+
+const path = require('path');
+
+const DATA_DIR = path.join(__dirname, '../../data');
+
+module.exports = {
+    guardian: {
+        port: 3000,
+        licenseKey: ''
+    },
+    security: {
+        blockVpnTor: false,
+        strictMode: false,
+        monitorMode: false,
+        corsEnabled: false,
+        rateLimit: {
+            enabled: false,
+            key: 'ip',
+            windowMs: 900000,
+            maxRequests: 1000,
+            action: 'block',
+            points: 30,
+            apiKeyHeader: 'x-api-key',
+            limits: []
+        },
+        geoPolicy: {
+            mode: 'off',
+            locations: [],
+            allowUnknown: true,
+            scores: {}
+        }
+    },
+    logging: {
+        format: 'jsonl',
+        file: path.join(__dirname, '../../logs/guardian.jsonl'),
+        rotation: true,
+        maxSize: '100MB',
+        maxFiles: 10,
+        level: 'info'
+    },
+    endpoints: {
+        health: true,
+        verify: true,
+        dashboard: false,
+        api: true
+    },
+    dataSources: {
+        torNodes: '/app/data/tor-exit-nodes.txt',
+        vpnRanges: '/app/data/vpn-ranges.txt',
+        asnDatabase: '/app/data/GeoLite2-ASN.mmdb',
+        networkFallback: true,
+        accessLists: path.join(DATA_DIR, 'access-lists.json'),
+        revokedTokens: path.join(DATA_DIR, 'revoked-tokens.json'),
+        cacheSnapshot: path.join(DATA_DIR, 'cache-snapshot.json'),
+        updateInterval: {
+            torNodes: 60,
+            vpnRanges: 1440
+        }
+    },
+    apiKeys: {
+        abuseipdb: '',
+        ipapi: ''
+    },
+    detectors: {
+        plugins: []
+    },
+    trustedProxies: {
+        presets: ['loopback', 'private'],
+        ranges: [],
+        headers: ['x-forwarded-for', 'x-real-ip'],
+        proxyProtocol: false
+    },
+    rules: [],
+    challenge: {
+        enabled: false,
+        difficulty: 16,
+        solveTimeout: 300,
+        clearanceTtl: 3600,
+        cookieName: 'guardian_clearance',
+        secret: ''
+    },
+    verdictTokens: {
+        enabled: false,
+        algorithm: 'hmac',
+        ttl: 300,
+        header: 'x-guardian-token',
+        activeKey: '',
+        keys: []
+    },
+    whitelist: {
+        enabled: false,
+        ips: []
+    },
+    blacklist: {
+        enabled: false,
+        ips: []
+    },
+    cache: {
+        backend: 'memory',
+        redis: {
+            url: 'redis://localhost:6379/0',
+            keyPrefix: 'guardian:',
+            connectTimeout: 2000,
+            commandTimeout: 1000
+        },
+        ttl: {
+            ipAnalysis: 300,
+            torNodes: 3600,
+            geoData: 1800
+        },
+        staleWhileRevalidate: 60,
+        maxSize: {
+            memory: '100mb',
+            redis: '500mb'
+        },
+        eviction: 'lru',
+        snapshot: {
+            enabled: true,
+            interval: 300
+        }
+    },
+    dashboard: {
+        username: '',
+        password: ''
+    }
+};
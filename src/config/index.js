@@ -0,0 +1,327 @@
+/**
+ * Guardian Config Loader
+ * Builds one validated settings object from built-in defaults,
+ * config/guardian.json, config.yml and environment variables (in that order)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const defaults = require('./defaults');
+const { ruleAt, validate } = require('./schema');
+
+const DEFAULT_JSON_FILE = path.join(__dirname, '../../config/guardian.json');
+const DEFAULT_YAML_FILE = '/app/guardian/config.yml';
+
+// config.yml anahtarlarının guardian.json karşılıkları
+const ALIASES = {
+    'security.riskThreshold': 'security.thresholds.standard',
+    'security.strictThreshold': 'security.thresholds.strict'
+};
+
+// Eski environment değişkenleri tek tek anahtarları ezmeye devam eder
+const ENV_OVERRIDES = {
+    PORT: 'guardian.port',
+    LICENSE_KEY: 'guardian.licenseKey',
+    BLOCK_VPN_TOR: 'security.blockVpnTor',
+    STRICT_MODE: 'security.strictMode',
+    MONITOR_MODE: 'security.monitorMode',
+    LOG_LEVEL: 'logging.level',
+    LOG_FILE: 'logging.file',
+    DASHBOARD_ENABLED: 'endpoints.dashboard',
+    DASHBOARD_USERNAME: 'dashboard.username',
+    DASHBOARD_PASSWORD: 'dashboard.password',
+    ABUSEIPDB_KEY: 'apiKeys.abuseipdb',
+    IPAPI_KEY: 'apiKeys.ipapi',
+    ASN_DATABASE: 'dataSources.asnDatabase',
+    CHALLENGE_SECRET: 'challenge.secret',
+    CACHE_BACKEND: 'cache.backend',
+    REDIS_URL: 'cache.redis.url'
+};
+
+// GUARDIAN__SECURITY__RATE_LIMIT__MAX_REQUESTS=500 -> security.rateLimit.maxRequests
+const ENV_PATH_PREFIX = 'GUARDIAN__';
+
+/**
+ * @typedef {Object} GuardianConfig
+ * @property {{ port: number, licenseKey: string }} guardian
+ * @property {{
+ *   blockVpnTor: boolean, strictMode: boolean, monitorMode: boolean, corsEnabled: boolean,
+ *   rateLimit: {
+ *     enabled: boolean, key: 'ip'|'subnet'|'asn'|'apiKey', windowMs: number, maxRequests: number, burst?: number,
+ *     action: 'block'|'score', points: number, apiKeyHeader: string,
+ *     limits: Array<{ key: string, windowMs: number, maxRequests: number, burst?: number }>
+ *   },
+ *   riskScoring: Object<string, number>,
+ *   thresholds: { strict: number, standard: number },
+ *   blockedCountries: string[], suspiciousASNs: string[],
+ *   geoPolicy: { mode: 'off'|'deny'|'allow', locations: string[], allowUnknown: boolean, scores: Object<string, number> }
+ * }} security
+ * @property {{ format: string, file: string, rotation: boolean, maxSize: string, maxFiles: number, level: string }} logging
+ * @property {{ health: boolean, verify: boolean, dashboard: boolean, api: boolean }} endpoints
+ * @property {{ torNodes: string, vpnRanges: string, asnDatabase: string, networkFallback: boolean, accessLists: string, revokedTokens: string, cacheSnapshot: string, updateInterval: { torNodes: number, vpnRanges: number } }} dataSources
+ * @property {{ abuseipdb: string, ipapi: string }} apiKeys
+ * @property {{ plugins: string[] } & Object<string, { enabled?: boolean, weight?: number, timeout?: number }>} detectors
+ * @property {{ presets: string[], ranges: string[], headers: string[], proxyProtocol: boolean }} trustedProxies
+ * @property {Array<{ id?: string, description?: string, priority?: number, enabled?: boolean, monitor?: boolean, action: 'allow'|'block'|'challenge'|'score'|'tag', match: Object, points?: number, tags?: string[], reason?: string }>} rules
+ * @property {{ enabled: boolean, difficulty: number, solveTimeout: number, clearanceTtl: number, cookieName: string, secret: string }} challenge
+ * @property {{ enabled: boolean, algorithm: 'hmac'|'ed25519', ttl: number, header: string, activeKey: string, keys: Array<{ id: string, secret?: string, privateKey?: string, publicKey?: string }> }} verdictTokens
+ * @property {{ enabled: boolean, ips: Array<string|{ ip: string, note?: string, expires?: string }> }} whitelist
+ * @property {{ enabled: boolean, ips: Array<string|{ ip: string, note?: string, expires?: string }> }} blacklist
+ * @property {{ backend: 'memory'|'redis', redis: { url: string, keyPrefix: string, connectTimeout: number, commandTimeout: number }, ttl: { ipAnalysis: number, torNodes: number, geoData: number, blocked?: number } & Object<string, number>, staleWhileRevalidate: number, maxSize: Object<string, string>, eviction: 'lru'|'lfu', snapshot: { enabled: boolean, interval: number } }} cache
+ * @property {{ username: string, password: string }} dashboard
+ */
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function camelize(key) {
+    return key.replace(/_([a-z0-9])/g, (match, char) => char.toUpperCase());
+}
+
+function camelizeKeys(value) {
+    if (Array.isArray(value)) return value.map(camelizeKeys);
+    if (!isPlainObject(value)) return value;
+
+    return Object.fromEntries(
+        Object.entries(value).map(([key, child]) => [camelize(key), camelizeKeys(child)])
+    );
+}
+
+function deepMerge(target, source) {
+    const result = { ...target };
+    Object.entries(source).forEach(([key, value]) => {
+        result[key] = isPlainObject(value) && isPlainObject(result[key])
+            ? deepMerge(result[key], value)
+            : value;
+    });
+    return result;
+}
+
+function deepFreeze(value) {
+    if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+        Object.freeze(value);
+        Object.values(value).forEach(deepFreeze);
+    }
+    return value;
+}
+
+function getPath(obj, dotted) {
+    return dotted.split('.').reduce((current, key) => current?.[key], obj);
+}
+
+function setPath(obj, dotted, value) {
+    const keys = dotted.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((current, key) => {
+        if (!isPlainObject(current[key])) current[key] = {};
+        return current[key];
+    }, obj);
+    parent[last] = value;
+}
+
+function deletePath(obj, dotted) {
+    const keys = dotted.split('.');
+    const last = keys.pop();
+    const parent = getPath(obj, keys.join('.'));
+    if (isPlainObject(parent)) delete parent[last];
+}
+
+/**
+ * Replace ${VAR} and ${VAR:-fallback} in string values. A value that is only
+ * a placeholder is parsed as a YAML scalar so "${PORT}" can become a number.
+ */
+function interpolate(value, env) {
+    if (Array.isArray(value)) return value.map(item => interpolate(item, env));
+    if (isPlainObject(value)) {
+        return Object.fromEntries(
+            Object.entries(value).map(([key, child]) => [key, interpolate(child, env)])
+        );
+    }
+    if (typeof value !== 'string') return value;
+
+    const pattern = /\$\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g;
+    const replaced = value.replace(pattern, (match, name, fallback) => env[name] ?? fallback ?? '');
+
+    const wholeMatch = value.match(/^\$\{[^}]+\}$/);
+    if (wholeMatch && replaced !== '') {
+        const scalar = yaml.load(replaced, { schema: yaml.CORE_SCHEMA });
+        return typeof scalar === 'object' ? replaced : scalar;
+    }
+    return replaced;
+}
+
+function coerceEnvValue(name, raw, dotted) {
+    const rule = ruleAt(dotted);
+
+    switch (rule?.type) {
+        case 'boolean':
+            if (['true', '1', 'yes'].includes(raw.toLowerCase())) return true;
+            if (['false', '0', 'no'].includes(raw.toLowerCase())) return false;
+            throw new Error(`Environment variable ${name} must be true or false (got "${raw}")`);
+
+        case 'number':
+        case 'integer':
+            if (!/^-?\d+(\.\d+)?$/.test(raw)) {
+                throw new Error(`Environment variable ${name} must be a number (got "${raw}")`);
+            }
+            return Number(raw);
+
+        case 'string':
+            return raw;
+
+        default:
+            // Şemada olmayan anahtarlar YAML skaler/dizisi olarak okunur
+            try {
+                return yaml.load(raw, { schema: yaml.CORE_SCHEMA });
+            } catch (error) {
+                return raw;
+            }
+    }
+}
+
+function applyAliases(layer) {
+    Object.entries(ALIASES).forEach(([from, to]) => {
+        const value = getPath(layer, from);
+        if (value !== undefined) {
+            setPath(layer, to, value);
+            deletePath(layer, from);
+        }
+    });
+    return layer;
+}
+
+function envLayer(env) {
+    const layer = {};
+
+    Object.entries(ENV_OVERRIDES).forEach(([name, dotted]) => {
+        if (env[name] !== undefined && env[name] !== '') {
+            setPath(layer, dotted, coerceEnvValue(name, env[name], dotted));
+        }
+    });
+
+    Object.keys(env)
+        .filter(name => name.startsWith(ENV_PATH_PREFIX) && env[name] !== '')
+        .forEach(name => {
+            const dotted = name
+                .slice(ENV_PATH_PREFIX.length)
+                .split('__')
+                .map(part => camelize(part.toLowerCase()))
+                .join('.');
+            const target = ALIASES[dotted] || dotted;
+            setPath(layer, target, coerceEnvValue(name, env[name], target));
+        });
+
+    return layer;
+}
+
+class ConfigLoader {
+    constructor() {
+        this.config = null;
+        this.sources = [];
+        this.jsonFile = process.env.GUARDIAN_CONFIG || DEFAULT_JSON_FILE;
+        this.yamlFile = process.env.CFG_FILE || DEFAULT_YAML_FILE;
+    }
+
+    readJSON(file) {
+        try {
+            return JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            throw new Error(`Could not read configuration file ${file}: ${error.message}`);
+        }
+    }
+
+    readYAML(file, env) {
+        if (!fs.existsSync(file)) {
+            // Varsayılan yol opsiyonel, CFG_FILE ile verilen yol zorunlu
+            if (env.CFG_FILE) {
+                throw new Error(`Configuration file ${file} (CFG_FILE) does not exist`);
+            }
+            return null;
+        }
+
+        let parsed;
+        try {
+            parsed = yaml.load(fs.readFileSync(file, 'utf8'), { schema: yaml.CORE_SCHEMA }) || {};
+        } catch (error) {
+            throw new Error(`Could not parse configuration file ${file}: ${error.message}`);
+        }
+
+        if (!isPlainObject(parsed)) {
+            throw new Error(`Configuration file ${file} must contain a YAML mapping`);
+        }
+
+        return applyAliases(camelizeKeys(interpolate(parsed, env)));
+    }
+
+    /**
+     * Build, validate and freeze a configuration without activating it.
+     * @returns {{ config: GuardianConfig, sources: string[] }}
+     */
+    build(env = process.env) {
+        const sources = ['defaults'];
+        let merged = deepMerge({}, defaults);
+
+        merged = deepMerge(merged, this.readJSON(this.jsonFile));
+        sources.push(this.jsonFile);
+
+        const yamlLayer = this.readYAML(this.yamlFile, env);
+        if (yamlLayer) {
+            merged = deepMerge(merged, yamlLayer);
+            sources.push(this.yamlFile);
+        }
+
+        merged = deepMerge(merged, envLayer(env));
+        sources.push('environment');
+
+        const errors = validate(merged);
+        if (errors.length > 0) {
+            throw new Error(`Invalid configuration (${sources.join(' < ')}):\n  - ${errors.join('\n  - ')}`);
+        }
+
+        return { config: deepFreeze(merged), sources };
+    }
+
+    /**
+     * Copy of the active configuration with overrides (snake_case or
+     * camelCase) applied, validated and frozen but not activated. Used for
+     * what-if simulations.
+     * @returns {{ config: GuardianConfig|null, errors: string[] }}
+     */
+    derive(overrides = {}) {
+        const merged = deepMerge(this.get(), applyAliases(camelizeKeys(overrides)));
+        const errors = validate(merged);
+
+        return { config: errors.length > 0 ? null : deepFreeze(merged), errors };
+    }
+
+    /**
+     * Swap in a configuration produced by build(). Callers holding the
+     * previous object keep a consistent (frozen) view until they finish.
+     */
+    apply(built) {
+        this.config = built.config;
+        this.sources = built.sources;
+        return this.config;
+    }
+
+    /**
+     * @returns {GuardianConfig}
+     */
+    load(env = process.env) {
+        return this.apply(this.build(env));
+    }
+
+    /**
+     * @returns {GuardianConfig}
+     */
+    get() {
+        if (!this.config) {
+            this.load();
+        }
+        return this.config;
+    }
+}
+
+module.exports = new ConfigLoader();
@@ -0,0 +1,462 @@
+/**
+ * Guardian configuration schema
+ * Declarative rules used to validate the merged configuration at startup
+ */
+
+const { parseCIDR } = require('../utils/ip-utils');
+const GeoMatcher = require('../utils/geo-matcher');
+const proxyPresets = require('./proxy-presets');
+const { compileRules } = require('../rules/compiler');
+const { ALGORITHMS, buildKeyRing } = require('../utils/key-ring');
+
+const score = { type: 'number', min: 0, max: 100 };
+const seconds = { type: 'integer', min: 1 };
+const minutes = { type: 'integer', min: 1 };
+const flag = { type: 'boolean' };
+const filePath = { type: 'string' };
+const size = { type: 'string', pattern: /^\d+(\.\d+)?\s*(b|kb|mb|gb)?$/i, hint: 'a size like "100MB"' };
+
+const cidr = {
+    type: 'string',
+    check: (value) => parseCIDR(value) ? null : 'not a valid IP address or CIDR range'
+};
+const date = {
+    type: 'string',
+    check: (value) => Number.isNaN(Date.parse(value)) ? 'not a valid date' : null
+};
+
+// "1.2.3.0/24" veya { ip, note, expires }
+const ipEntry = {
+    oneOf: [
+        cidr,
+        {
+            type: 'object',
+            properties: {
+                ip: { ...cidr, required: true },
+                note: { type: 'string' },
+                expires: date
+            }
+        }
+    ],
+    hint: 'an IP/CIDR string or { ip, note, expires }'
+};
+
+// "TR", "US:CA" veya "US:CA:San Francisco"
+const geoLocation = {
+    type: 'string',
+    check: (value) => GeoMatcher.parseLocation(value) ? null : 'not a valid location (expected "CC", "CC:REGION" or "CC:REGION:City")'
+};
+
+const geoPolicy = {
+    type: 'object',
+    properties: {
+        mode: { type: 'string', values: ['off', 'deny', 'allow'] },
+        locations: { type: 'array', items: geoLocation },
+        allowUnknown: flag,
+        scores: {
+            type: 'object',
+            keys: geoLocation,
+            entries: { type: 'number', min: -100, max: 100 }
+        }
+    }
+};
+
+const detectorSettings = {
+    type: 'object',
+    properties: {
+        enabled: flag,
+        weight: { type: 'number', min: 0, max: 10 },
+        timeout: { type: 'integer', min: 1, max: 60000 }
+    }
+};
+
+// Token bucket: maxRequests / windowMs hızında dolar, burst (varsayılan maxRequests) kadar birikir
+const rateLimiter = {
+    key: { type: 'string', values: ['ip', 'subnet', 'asn', 'apiKey'] },
+    windowMs: { type: 'integer', min: 1000 },
+    maxRequests: { type: 'integer', min: 1 },
+    burst: { type: 'integer', min: 1 }
+};
+
+const ipList = {
+    type: 'object',
+    properties: {
+        enabled: flag,
+        ips: { type: 'array', items: ipEntry }
+    }
+};
+
+const schema = {
+    type: 'object',
+    properties: {
+        guardian: {
+            type: 'object',
+            properties: {
+                port: { type: 'integer', min: 1, max: 65535 },
+                licenseKey: { type: 'string' }
+            }
+        },
+        security: {
+            type: 'object',
+            required: true,
+            properties: {
+                blockVpnTor: flag,
+                strictMode: flag,
+                monitorMode: flag,
+                corsEnabled: flag,
+                rateLimit: {
+                    type: 'object',
+                    properties: {
+                        enabled: flag,
+                        ...rateLimiter,
+                        action: { type: 'string', values: ['block', 'score'] },
+                        points: score,
+                        apiKeyHeader: { type: 'string', pattern: /^[A-Za-z0-9-]+$/, hint: 'a header name' },
+                        // Ek sınırlayıcılar, ör. ASN başına
+                        limits: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    ...rateLimiter,
+                                    key: { ...rateLimiter.key, required: true },
+                                    windowMs: { ...rateLimiter.windowMs, required: true },
+                                    maxRequests: { ...rateLimiter.maxRequests, required: true }
+                                }
+                            }
+                        }
+                    }
+                },
+                riskScoring: {
+                    type: 'object',
+                    required: true,
+                    properties: {
+                        tor: { ...score, required: true },
+                        vpn: { ...score, required: true },
+                        badReputation: { ...score, required: true },
+                        riskyCountry: { ...score, required: true },
+                        suspiciousASN: { ...score, required: true },
+                        suspiciousUA: { ...score, required: true },
+                        bot: { ...score, required: true }
+                    }
+                },
+                thresholds: {
+                    type: 'object',
+                    required: true,
+                    properties: {
+                        strict: { ...score, required: true },
+                        standard: { ...score, required: true }
+                    },
+                    check: (value) => value.strict > value.standard
+                        ? 'strict threshold must not be higher than standard threshold'
+                        : null
+                },
+                blockedCountries: {
+                    type: 'array',
+                    required: true,
+                    items: { type: 'string', pattern: /^[A-Z]{2}$/, hint: 'an ISO 3166-1 alpha-2 code' }
+                },
+                suspiciousASNs: {
+                    type: 'array',
+                    required: true,
+                    items: { type: 'string', pattern: /^AS\d+$/, hint: 'an ASN like "AS13335"' }
+                },
+                geoPolicy
+            }
+        },
+        logging: {
+            type: 'object',
+            properties: {
+                format: { type: 'string', values: ['json', 'jsonl'] },
+                file: filePath,
+                rotation: flag,
+                maxSize: size,
+                maxFiles: { type: 'integer', min: 1 },
+                level: { type: 'string', values: ['error', 'warn', 'info', 'debug'] }
+            }
+        },
+        endpoints: {
+            type: 'object',
+            properties: {
+                health: flag,
+                verify: flag,
+                dashboard: flag,
+                api: flag
+            }
+        },
+        dataSources: {
+            type: 'object',
+            properties: {
+                torNodes: filePath,
+                vpnRanges: filePath,
+                asnDatabase: filePath,
+                networkFallback: flag,
+                accessLists: filePath,
+                revokedTokens: filePath,
+                cacheSnapshot: filePath,
+                updateInterval: {
+                    type: 'object',
+                    properties: {
+                        torNodes: minutes,
+                        vpnRanges: minutes
+                    }
+                }
+            }
+        },
+        apiKeys: {
+            type: 'object',
+            properties: {
+                abuseipdb: { type: 'string' },
+                ipapi: { type: 'string' }
+            }
+        },
+        // detectors.<isim>: { enabled, weight, timeout }
+        detectors: {
+            type: 'object',
+            properties: {
+                plugins: { type: 'array', items: filePath }
+            },
+            entries: detectorSettings
+        },
+        trustedProxies: {
+            type: 'object',
+            properties: {
+                presets: { type: 'array', items: { type: 'string', values: Object.keys(proxyPresets) } },
+                ranges: { type: 'array', items: cidr },
+                headers: { type: 'array', items: { type: 'string', values: ['forwarded', 'x-forwarded-for', 'x-real-ip'] } },
+                proxyProtocol: flag
+            }
+        },
+        // Özel kurallar; ayrıntılı doğrulama kural derleyicisinde
+        rules: {
+            type: 'array',
+            check: (value) => compileRules(value).errors
+        },
+        // Proof-of-work challenge (MEDIUM risk bandı ve challenge kuralları)
+        challenge: {
+            type: 'object',
+            properties: {
+                enabled: flag,
+                difficulty: { type: 'integer', min: 8, max: 28 },
+                solveTimeout: seconds,
+                clearanceTtl: seconds,
+                cookieName: { type: 'string', pattern: /^[A-Za-z0-9_-]+$/, hint: 'a cookie name' },
+                secret: { type: 'string' }
+            }
+        },
+        // İmzalı karar token'ları; anahtar doğrulaması key-ring'de
+        verdictTokens: {
+            type: 'object',
+            properties: {
+                enabled: flag,
+                algorithm: { type: 'string', values: Object.keys(ALGORITHMS) },
+                ttl: seconds,
+                header: { type: 'string', pattern: /^[A-Za-z0-9-]+$/, hint: 'a header name' },
+                activeKey: { type: 'string' },
+                keys: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            id: { type: 'string', required: true },
+                            secret: { type: 'string' },
+                            privateKey: { type: 'string' },
+                            publicKey: { type: 'string' }
+                        }
+                    }
+                }
+            },
+            check: (value) => buildKeyRing(value).errors
+        },
+        whitelist: ipList,
+        blacklist: ipList,
+        cache: {
+            type: 'object',
+            properties: {
+                // Backend değişikliği yeniden başlatma gerektirir
+                backend: { type: 'string', values: ['memory', 'redis'] },
+                redis: {
+                    type: 'object',
+                    properties: {
+                        url: { type: 'string', pattern: /^rediss?:\/\/\S*$/, hint: 'a redis:// or rediss:// URL' },
+                        keyPrefix: { type: 'string' },
+                        connectTimeout: { type: 'integer', min: 100, max: 60000 },
+                        commandTimeout: { type: 'integer', min: 10, max: 60000 }
+                    }
+                },
+                // Dedektör sonuçlarının ömrü; plugin'ler kendi anahtarını kullanabilir (cacheTtl)
+                ttl: {
+                    type: 'object',
+                    properties: {
+                        ipAnalysis: seconds,
+                        torNodes: seconds,
+                        geoData: seconds,
+                        blocked: seconds
+                    },
+                    entries: seconds
+                },
+                // Süresi dolan sonuç bu kadar saniye daha kullanılır (0: kapalı)
+                staleWhileRevalidate: { type: 'integer', min: 0, max: 86400 },
+                maxSize: {
+                    type: 'object',
+                    properties: {
+                        memory: size,
+                        redis: size
+                    }
+                },
+                // Bellek sınırı aşıldığında hangi girdinin çıkarılacağı
+                eviction: { type: 'string', values: ['lru', 'lfu'] },
+                // Sadece memory backend; Redis verisi zaten kalıcı
+                snapshot: {
+                    type: 'object',
+                    properties: {
+                        enabled: flag,
+                        interval: seconds
+                    }
+                }
+            }
+        },
+        dashboard: {
+            type: 'object',
+            properties: {
+                username: { type: 'string' },
+                password: { type: 'string' }
+            }
+        }
+    }
+};
+
+function describe(value) {
+    return JSON.stringify(value) ?? String(value);
+}
+
+function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+function validateNode(rule, value, path, errors) {
+    if (value === undefined || value === null) {
+        if (rule.required) errors.push(`${path} is required`);
+        return;
+    }
+
+    // Değerin tipine uyan ilk seçenekle doğrula
+    if (rule.oneOf) {
+        const actual = typeOf(value);
+        const option = rule.oneOf.find(candidate =>
+            candidate.type === actual || (candidate.type === 'number' && actual === 'integer'));
+
+        if (!option) {
+            errors.push(`${path} must be ${rule.hint} (got ${describe(value)})`);
+            return;
+        }
+        validateNode(option, value, path, errors);
+        return;
+    }
+
+    switch (rule.type) {
+        case 'object':
+            if (typeof value !== 'object' || Array.isArray(value)) {
+                errors.push(`${path || 'config'} must be an object (got ${describe(value)})`);
+                return;
+            }
+            Object.entries(rule.properties || {}).forEach(([key, child]) => {
+                validateNode(child, value[key], path ? `${path}.${key}` : key, errors);
+            });
+
+            // Serbest anahtarlı map'ler (ör. konum -> puan)
+            if (rule.entries) {
+                Object.entries(value)
+                    .filter(([key]) => !rule.properties?.[key])
+                    .forEach(([key, child]) => {
+                        const childPath = `${path}.${key}`;
+                        const keyError = rule.keys?.check(key);
+                        if (keyError) errors.push(`${childPath}: ${keyError}`);
+                        validateNode({ ...rule.entries, required: true }, child, childPath, errors);
+                    });
+            }
+            break;
+
+        case 'array':
+            if (!Array.isArray(value)) {
+                errors.push(`${path} must be an array (got ${describe(value)})`);
+                return;
+            }
+            value.forEach((item, i) => validateNode({ ...rule.items, required: true }, item, `${path}[${i}]`, errors));
+            break;
+
+        case 'number':
+        case 'integer':
+            if (typeof value !== 'number' || !Number.isFinite(value) ||
+                (rule.type === 'integer' && !Number.isInteger(value))) {
+                errors.push(`${path} must be ${rule.type === 'integer' ? 'an integer' : 'a number'} (got ${describe(value)})`);
+                return;
+            }
+            if ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max)) {
+                const range = rule.max !== undefined ? `between ${rule.min} and ${rule.max}` : `at least ${rule.min}`;
+                errors.push(`${path} must be ${range} (got ${value})`);
+                return;
+            }
+            break;
+
+        case 'string':
+            if (typeof value !== 'string') {
+                errors.push(`${path} must be a string (got ${describe(value)})`);
+                return;
+            }
+            if (rule.values && !rule.values.includes(value)) {
+                errors.push(`${path} must be one of ${rule.values.join(', ')} (got ${describe(value)})`);
+                return;
+            }
+            if (rule.pattern && !rule.pattern.test(value)) {
+                errors.push(`${path} must be ${rule.hint || `a string matching ${rule.pattern}`} (got ${describe(value)})`);
+                return;
+            }
+            break;
+
+        case 'boolean':
+            if (typeof value !== 'boolean') {
+                errors.push(`${path} must be true or false (got ${describe(value)})`);
+                return;
+            }
+            break;
+    }
+
+    if (rule.check) {
+        const message = rule.check(value);
+        // Dizi dönerse her mesaj kendi alt yolunu taşır ("[2].match.ua: ...")
+        if (Array.isArray(message)) {
+            message.forEach(item => errors.push(`${path}${item}`));
+        } else if (message) {
+            errors.push(`${path}: ${message}`);
+        }
+    }
+}
+
+/**
+ * Rule for a dotted path ("security.strictMode"), or null if the schema
+ * does not describe it.
+ */
+function ruleAt(path, rule = schema) {
+    return path.split('.').reduce(
+        (current, key) => current?.properties?.[key] || null,
+        rule
+    );
+}
+
+/**
+ * Returns a list of human readable errors, empty when the config is valid.
+ */
+function validate(config, rule = schema) {
+    const errors = [];
+    validateNode(rule, config, '', errors);
+    return errors;
+}
+
+module.exports = {
+    schema,
+    ruleAt,
+    validate
+};
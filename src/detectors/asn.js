@@ -0,0 +1,31 @@
+const asnService = require('../services/asn-service');
+
+/**
+ * Autonomous system lookup against the local MaxMind ASN database.
+ */
+module.exports = {
+    name: 'asn',
+    weight: 1,
+    timeout: 500,
+
+    async detect({ ip, settings }) {
+        if (!asnService.isAvailable()) return null;
+
+        const result = asnService.lookup(ip);
+        if (!result) return { details: {} };
+
+        const details = { asn: result.asn, asnOrg: result.org };
+        const contributions = [];
+
+        if (settings.security.suspiciousASNs.includes(result.asn)) {
+            details.suspiciousASN = true;
+            contributions.push({
+                signal: 'SUSPICIOUS_ASN',
+                points: settings.security.riskScoring.suspiciousASN,
+                evidence: { asn: result.asn, org: result.org }
+            });
+        }
+
+        return { details, contributions };
+    }
+};
@@ -0,0 +1,41 @@
+const geoip = require('geoip-lite');
+const geoPolicyService = require('../services/geo-policy-service');
+
+/**
+ * GeoIP location plus per-location risk points (geoPolicy.scores and
+ * blockedCountries).
+ */
+module.exports = {
+    name: 'geoip',
+    weight: 1,
+    timeout: 500,
+    cacheTtl: 'geoData',
+
+    async detect({ ip, settings }) {
+        const geo = geoip.lookup(ip);
+        if (!geo) return null;
+
+        const details = {
+            country: geo.country,
+            region: geo.region,
+            city: geo.city,
+            timezone: geo.timezone
+        };
+        const contributions = [];
+
+        // Konuma göre puan (en spesifik eşleşme: şehir > bölge > ülke)
+        const scored = geoPolicyService.score(geo, settings);
+        if (scored && scored.points !== 0) {
+            details.geoScore = scored.points;
+            details.geoLocation = scored.location;
+            details.riskyCountry = scored.points > 0;
+            contributions.push({
+                signal: 'RISKY_LOCATION',
+                points: scored.points,
+                evidence: { location: scored.location, country: geo.country, region: geo.region, city: geo.city }
+            });
+        }
+
+        return { details, contributions };
+    }
+};
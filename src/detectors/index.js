@@ -0,0 +1,150 @@
+/**
+ * Detector registry
+ * Runs the built-in and plugin detectors concurrently, each with its own
+ * timeout, using the enable/weight/timeout settings from config.detectors
+ */
+
+const path = require('path');
+const logger = require('../utils/logger');
+
+/**
+ * @typedef {Object} DetectorContext
+ * @property {string} ip - Normalized client address
+ * @property {string} userAgent
+ * @property {import('../config').GuardianConfig} settings - Config snapshot for this analysis
+ */
+
+/**
+ * @typedef {Object} DetectorResult
+ * @property {Array<{ signal: string, points: number, evidence?: Object }>} [contributions]
+ *   Risk points (before weighting) with the evidence behind them
+ * @property {Object} [details] - Merged into analysis.details
+ */
+
+/**
+ * @typedef {Object} Detector
+ * @property {string} name - Unique name, also the key under config.detectors
+ * @property {number} [weight=1] - Multiplier applied to contributed points
+ * @property {number} [timeout=1000] - Milliseconds before the result is dropped
+ * @property {'ip'|'request'} [scope='ip'] - 'ip' results depend on the address
+ *   only and are cached per client (the context has an empty userAgent);
+ *   'request' detectors run on every request
+ * @property {string} [cacheTtl='ipAnalysis'] - cache.ttl entry for cached results
+ * @property {function(DetectorContext): Promise<DetectorResult|null>} detect
+ *   Resolves null when the detector had nothing to check (e.g. missing API key)
+ */
+
+const DEFAULT_WEIGHT = 1;
+const DEFAULT_TIMEOUT = 1000;
+const DEFAULT_SCOPE = 'ip';
+const DEFAULT_CACHE_TTL = 'ipAnalysis';
+
+class DetectorRegistry {
+    constructor() {
+        this.detectors = new Map();
+    }
+
+    register(detector) {
+        if (!detector || typeof detector.name !== 'string' || !detector.name) {
+            throw new Error('Detector must have a name');
+        }
+        if (typeof detector.detect !== 'function') {
+            throw new Error(`Detector ${detector.name} must implement detect(ctx)`);
+        }
+        if (this.detectors.has(detector.name)) {
+            throw new Error(`Detector ${detector.name} is already registered`);
+        }
+
+        this.detectors.set(detector.name, detector);
+        return this;
+    }
+
+    /**
+     * Load plugin modules listed in config.detectors.plugins. Each module
+     * exports a detector object (or an array of them).
+     */
+    loadPlugins(paths) {
+        paths.forEach(pluginPath => {
+            const resolved = path.resolve(pluginPath);
+
+            try {
+                const exported = require(resolved);
+                [].concat(exported).forEach(detector => this.register(detector));
+                logger.info(`Loaded detector plugin ${resolved}`);
+            } catch (error) {
+                throw new Error(`Could not load detector plugin ${resolved}: ${error.message}`);
+            }
+        });
+    }
+
+    /**
+     * Registered detectors with their effective settings; disabled ones
+     * are left out.
+     */
+    active(settings) {
+        return Array.from(this.detectors.values())
+            .map(detector => {
+                const overrides = settings.detectors[detector.name] || {};
+                return {
+                    detector,
+                    enabled: overrides.enabled !== false,
+                    weight: overrides.weight ?? detector.weight ?? DEFAULT_WEIGHT,
+                    timeout: overrides.timeout ?? detector.timeout ?? DEFAULT_TIMEOUT,
+                    scope: detector.scope || DEFAULT_SCOPE,
+                    cacheTtl: detector.cacheTtl || DEFAULT_CACHE_TTL
+                };
+            })
+            .filter(entry => entry.enabled);
+    }
+
+    withTimeout(promise, timeout) {
+        let timer;
+        const expired = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(`timed out after ${timeout}ms`)), timeout);
+            timer.unref();
+        });
+
+        return Promise.race([promise, expired]).finally(() => clearTimeout(timer));
+    }
+
+    /**
+     * Run the enabled detectors (those passing `filter`) concurrently. A
+     * failing or slow detector only loses its own result.
+     * @param {function(Object): boolean} [filter] - called with each active() entry
+     * @returns {Promise<Array<{ name: string, weight: number, result: DetectorResult|null, error: Error|null, durationMs: number }>>}
+     */
+    run(ctx, filter = () => true) {
+        return Promise.all(this.active(ctx.settings).filter(filter).map(async ({ detector, weight, timeout }) => {
+            const startedAt = Date.now();
+
+            try {
+                const result = await this.withTimeout(
+                    Promise.resolve().then(() => detector.detect(ctx)),
+                    timeout
+                );
+                return { name: detector.name, weight, result: result || null, error: null, durationMs: Date.now() - startedAt };
+            } catch (error) {
+                logger.warn(`Detector ${detector.name} failed: ${error.message}`);
+                return { name: detector.name, weight, result: null, error, durationMs: Date.now() - startedAt };
+            }
+        }));
+    }
+
+    names() {
+        return Array.from(this.detectors.keys());
+    }
+}
+
+const registry = new DetectorRegistry();
+
+// Yerleşik dedektörler
+[
+    require('./geoip'),
+    require('./tor'),
+    require('./vpn'),
+    require('./asn'),
+    require('./user-agent'),
+    require('./reputation')
+].forEach(detector => registry.register(detector));
+
+module.exports = registry;
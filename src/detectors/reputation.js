@@ -0,0 +1,45 @@
+const axios = require('axios');
+
+/**
+ * AbuseIPDB reputation, only when apiKeys.abuseipdb is set.
+ */
+module.exports = {
+    name: 'reputation',
+    weight: 1,
+    timeout: 5500,
+
+    async detect({ ip, settings }) {
+        if (!settings.apiKeys.abuseipdb) return null;
+
+        const response = await axios.get(
+            `https://api.abuseipdb.com/api/v2/check?ipAddress=${ip}&maxAgeInDays=90`,
+            {
+                headers: {
+                    'Key': settings.apiKeys.abuseipdb,
+                    'Accept': 'application/json'
+                },
+                timeout: 5000
+            }
+        );
+
+        if (!response.data || !response.data.data) return null;
+
+        const { abuseConfidencePercentage, isWhitelisted, totalReports } = response.data.data;
+        const details = {
+            abuseConfidence: abuseConfidencePercentage,
+            isWhitelisted
+        };
+        const contributions = [];
+
+        if (abuseConfidencePercentage > 25) {
+            details.badReputation = true;
+            contributions.push({
+                signal: 'BAD_IP_REPUTATION',
+                points: Math.min(abuseConfidencePercentage, settings.security.riskScoring.badReputation),
+                evidence: { source: 'abuseipdb', abuseConfidence: abuseConfidencePercentage, totalReports }
+            });
+        }
+
+        return { details, contributions };
+    }
+};
@@ -0,0 +1,28 @@
+const torService = require('../services/tor-service');
+
+/**
+ * Tor exit node list. Points only count when security.blockVpnTor is on.
+ */
+module.exports = {
+    name: 'tor',
+    weight: 1,
+    timeout: 1000,
+    cacheTtl: 'torNodes',
+
+    async detect({ ip, settings }) {
+        const isTor = await torService.isTorExitNode(ip);
+        const details = { isTor };
+        const contributions = [];
+
+        if (isTor && settings.security.blockVpnTor) {
+            details.torBlocked = true;
+            contributions.push({
+                signal: 'TOR_EXIT_NODE',
+                points: settings.security.riskScoring.tor,
+                evidence: { list: torService.getListStatus().source, exitNodes: torService.getExitNodeCount() }
+            });
+        }
+
+        return { details, contributions };
+    }
+};
@@ -0,0 +1,50 @@
+const UAParser = require('ua-parser-js');
+
+// Bot tespit
+const BOT_PATTERNS = [
+    /bot/i, /crawler/i, /spider/i, /scraper/i,
+    /curl/i, /wget/i, /python/i, /java/i
+];
+
+/**
+ * User-Agent parsing, empty/short agents and common bot signatures.
+ */
+module.exports = {
+    name: 'userAgent',
+    weight: 1,
+    timeout: 200,
+    // NAT arkasındaki her istemcinin kendi User-Agent'ı değerlendirilir
+    scope: 'request',
+
+    async detect({ userAgent, settings }) {
+        const result = new UAParser(userAgent).getResult();
+        const details = {
+            browser: result.browser,
+            os: result.os,
+            device: result.device
+        };
+        const contributions = [];
+
+        // Şüpheli User Agent kontrolleri
+        if (!userAgent || userAgent.length < 10) {
+            details.suspiciousUA = 'Empty or too short';
+            contributions.push({
+                signal: 'SUSPICIOUS_USER_AGENT',
+                points: settings.security.riskScoring.suspiciousUA,
+                evidence: { userAgent, length: userAgent ? userAgent.length : 0 }
+            });
+        }
+
+        const pattern = BOT_PATTERNS.find(candidate => candidate.test(userAgent));
+        if (pattern) {
+            details.possibleBot = true;
+            contributions.push({
+                signal: 'BOT_USER_AGENT',
+                points: settings.security.riskScoring.bot,
+                evidence: { userAgent, pattern: pattern.toString() }
+            });
+        }
+
+        return { details, contributions };
+    }
+};
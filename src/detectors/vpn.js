@@ -0,0 +1,52 @@
+const axios = require('axios');
+const vpnService = require('../services/vpn-service');
+
+/**
+ * VPN/datacenter ranges (offline), then ip-api.com when an API key is set.
+ * Points only count when security.blockVpnTor is on, and only once.
+ */
+module.exports = {
+    name: 'vpn',
+    weight: 1,
+    timeout: 3500,
+
+    async detect({ ip, settings }) {
+        if (!vpnService.isAvailable() && !settings.apiKeys.ipapi) return null;
+
+        const details = {};
+        const contributions = [];
+        const flag = (evidence) => {
+            if (!details.vpnBlocked && settings.security.blockVpnTor) {
+                details.vpnBlocked = true;
+                contributions.push({ signal: 'VPN_PROXY_DETECTED', points: settings.security.riskScoring.vpn, evidence });
+            }
+        };
+
+        // Yüklü VPN/datacenter aralıklarıyla offline kontrol
+        const match = vpnService.match(ip);
+        details.isVPN = Boolean(match);
+        if (match) {
+            details.vpnRange = match.range;
+            details.vpnSource = match.data?.source;
+            flag({ range: match.range, source: match.data?.source });
+        }
+
+        // IP-API.com kullanarak VPN/Proxy kontrolü
+        if (settings.apiKeys.ipapi) {
+            const response = await axios.get(`http://ip-api.com/json/${ip}?fields=proxy,hosting`, {
+                timeout: 3000
+            });
+
+            if (response.data) {
+                details.isProxy = response.data.proxy;
+                details.isHosting = response.data.hosting;
+
+                if (response.data.proxy || response.data.hosting) {
+                    flag({ source: 'ip-api', proxy: response.data.proxy, hosting: response.data.hosting });
+                }
+            }
+        }
+
+        return { details, contributions };
+    }
+};
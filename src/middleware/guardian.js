@@ -1,45 +1,16 @@
 const ipAnalyzer = require('../services/ip-analyzer');
 const logService = require('../services/log-service');
-const cacheService = require('../services/cache-service');
+const config = require('../config');
+const { resolveClientIP } = require('../utils/client-ip');
+const challengeService = require('../services/challenge-service');
+const verdictTokenService = require('../services/verdict-token-service');
+const { CHALLENGE_PATH, sendChallengePage } = require('../utils/challenge-page');
 const logger = require('../utils/logger');
 
 class GuardianMiddleware {
-    constructor() {
-        this.blockedIPs = new Set();
-        this.allowedIPs = new Set();
-    }
-
     async analyze(req, res, next) {
         try {
-            const clientIP = this.getClientIP(req);
-            const userAgent = req.headers['user-agent'] || '';
-            const requestId = this.generateRequestId();
-
-            // Cache kontrolü
-            const cacheKey = `analysis:${clientIP}`;
-            const cachedResult = await cacheService.get(cacheKey);
-            
-            if (cachedResult) {
-                return this.handleResult(req, res, cachedResult, requestId);
-            }
-
-            // IP analizi
-            const analysis = await ipAnalyzer.analyzeIP(clientIP, userAgent);
-            
-            // Sonucu cache'le (5 dakika)
-            await cacheService.set(cacheKey, analysis, 300);
-            
-            // Log kaydet
-            await logService.logRequest({
-                requestId,
-                ip: clientIP,
-                userAgent,
-                analysis,
-                timestamp: new Date(),
-                url: req.url,
-                method: req.method
-            });
-
+            const { analysis, requestId } = await this.evaluate(req, this.getRequestInfo(req));
             return this.handleResult(req, res, analysis, requestId);
 
         } catch (error) {
@@ -51,15 +22,97 @@ class GuardianMiddleware {
         }
     }
 
+    /**
+     * nginx auth_request subrequest. The original request comes from the
+     * X-Original-* headers; the answer is 204 (allow), 401 (challenge) or
+     * 403 (block) with an empty body and the decision in X-Guardian-*
+     * headers.
+     */
+    async authRequest(req, res) {
+        try {
+            // İstemci adresi önce X-Original-IP'den okunur (güvenilen proxy'den geliyorsa)
+            const ipHeaders = ['x-original-ip', ...config.get().trustedProxies.headers];
+            const { analysis, requestId } = await this.evaluate(req, this.getOriginalRequestInfo(req), ipHeaders);
+            return this.handleAuthResult(req, res, analysis, requestId);
+
+        } catch (error) {
+            logger.error('Guardian auth request error:', error);
+            res.set('X-Guardian-Error', 'GUARDIAN_ERROR');
+            return res.status(500).end();
+        }
+    }
+
+    /**
+     * Analysis plus per-request decisions for one request.
+     * @returns {Promise<{ analysis: Object, requestId: string }>}
+     */
+    async evaluate(req, request, ipHeaders) {
+        const client = this.getClient(req, ipHeaders);
+        const clientIP = client.ip;
+        const { userAgent } = request;
+        const requestId = this.generateRequestId();
+
+        // IP istihbaratı (geo, Tor, VPN, ASN, itibar) adres bazında cache'lenir,
+        // User-Agent puanı her istekte yeniden hesaplanır
+        let analysis = await ipAnalyzer.analyzeIP(clientIP, userAgent);
+
+        // İsteğe özel kararlar (rate limit, kurallar, challenge, monitor modu)
+        analysis = ipAnalyzer.decide(analysis, request);
+
+        // Proxy zinciri isteğe özel, analize ayrıca eklenir
+        analysis = { ...analysis, client };
+        
+        // Log kaydet
+        await logService.logRequest({
+            requestId,
+            ip: clientIP,
+            userAgent,
+            analysis,
+            timestamp: new Date(),
+            url: request.url,
+            method: request.method
+        });
+
+        return { analysis, requestId };
+    }
+
     handleResult(req, res, analysis, requestId) {
         const { isBlocked, reason, riskScore, details } = analysis;
 
+        this.setVerdictToken(req, res, analysis);
+
+        if (analysis.challenge) {
+            // 401 - Proof-of-work gerekli (tarayıcıya sayfa, diğerlerine JSON)
+            const returnTo = req.headers['x-original-uri'] || req.originalUrl;
+            if (req.accepts(['json', 'html']) === 'html') {
+                const challenge = challengeService.issue(analysis.ip, req.headers['user-agent']);
+                return sendChallengePage(res, challenge, returnTo);
+            }
+
+            return res.status(401).json({
+                blocked: false,
+                challenge: true,
+                reason,
+                riskScore,
+                challengeUrl: `${CHALLENGE_PATH}?return=${encodeURIComponent(returnTo)}`,
+                message: 'Ek doğrulama gerekiyor.',
+                requestId,
+                timestamp: new Date().toISOString()
+            });
+        }
+
         if (isBlocked) {
+            // Nginx auth_request sadece 2xx/401/403 anlar, rate limit de 403 döner
+            if (analysis.rateLimit) {
+                res.set('Retry-After', String(analysis.rateLimit.retryAfter));
+            }
+
             // 403 - Bloklandı
             return res.status(403).json({
                 blocked: true,
                 reason,
                 riskScore,
+                ...(analysis.rateLimit && { retryAfter: analysis.rateLimit.retryAfter }),
                 message: 'IP adresiniz güvenlik nedeniyle engellenmiştir.',
                 requestId,
                 timestamp: new Date().toISOString()
@@ -71,18 +124,105 @@ class GuardianMiddleware {
             allowed: true,
             riskScore,
             details,
+            ...(analysis.shadow && { shadow: analysis.shadow }),
             requestId,
             message: 'Request authorized by Guardian'
         });
     }
 
-    getClientIP(req) {
-        return req.headers['x-forwarded-for']?.split(',')[0]?.trim() ||
-               req.headers['x-real-ip'] ||
-               req.connection?.remoteAddress ||
-               req.socket?.remoteAddress ||
-               req.ip ||
-               '127.0.0.1';
+    /**
+     * Same decision as handleResult for nginx: status and headers only.
+     */
+    handleAuthResult(req, res, analysis, requestId) {
+        this.setVerdictToken(req, res, analysis);
+
+        const decision = this.verdictName(analysis);
+        res.set({
+            'X-Guardian-Decision': decision,
+            'X-Guardian-Score': String(analysis.riskScore),
+            'X-Guardian-Request-Id': requestId,
+            ...(analysis.reason && { 'X-Guardian-Reason': analysis.reason }),
+            ...(analysis.shadow && { 'X-Guardian-Shadow': this.verdictName(analysis.shadow) })
+        });
+
+        if (decision === 'allow') {
+            return res.status(204).end();
+        }
+        if (decision === 'challenge') {
+            // nginx: error_page 401 = @challenge
+            return res.status(401).end();
+        }
+        if (analysis.rateLimit) {
+            res.set('Retry-After', String(analysis.rateLimit.retryAfter));
+        }
+        return res.status(403).end();
+    }
+
+    verdictName(verdict) {
+        if (verdict.isBlocked) return 'block';
+        return verdict.challenge ? 'challenge' : 'allow';
+    }
+
+    // İmzalı karar: backend Guardian'a tekrar sormadan doğrulayabilir
+    setVerdictToken(req, res, analysis) {
+        const verdictToken = verdictTokenService.issue(analysis, req.headers['user-agent']);
+        if (verdictToken) {
+            res.set(config.get().verdictTokens.header, verdictToken.token);
+        }
+    }
+
+    /**
+     * Client address behind the trusted proxies, plus the source it was
+     * taken from and the full chain (client first, socket peer last).
+     * @param {string[]} [headers] client address headers to read instead of
+     *   trustedProxies.headers
+     */
+    getClient(req, headers) {
+        return resolveClientIP(req, config.get(), headers);
+    }
+
+    /**
+     * Request attributes custom rules can match on.
+     */
+    getRequestInfo(req) {
+        return {
+            userAgent: req.headers['user-agent'] || '',
+            url: req.url,
+            path: (req.originalUrl || req.url).split('?')[0],
+            method: req.method,
+            headers: req.headers,
+            clearance: this.getCookie(req, config.get().challenge.cookieName)
+        };
+    }
+
+    /**
+     * Request info for an auth subrequest: URI and method of the request
+     * nginx is asking about (User-Agent and cookies are passed through).
+     */
+    getOriginalRequestInfo(req) {
+        const url = req.headers['x-original-uri'] || req.headers['x-original-url'] || '/';
+        return {
+            ...this.getRequestInfo(req),
+            url,
+            path: url.split('?')[0],
+            method: req.headers['x-original-method'] || req.method
+        };
+    }
+
+    getCookie(req, name) {
+        const cookie = (req.headers.cookie || '')
+            .split(';')
+            .map(part => part.trim())
+            .find(part => part.startsWith(`${name}=`));
+
+        if (!cookie) return null;
+
+        // Bozuk kodlanmış cookie, cookie yokmuş gibi sayılır
+        try {
+            return decodeURIComponent(cookie.slice(name.length + 1));
+        } catch (error) {
+            return null;
+        }
     }
 
     generateRequestId() {
@@ -91,4 +231,9 @@ class GuardianMiddleware {
 }
 
 const guardianInstance = new GuardianMiddleware();
-module.exports = (req, res, next) => guardianInstance.analyze(req, res, next);
+module.exports = {
+    // JSON yanıtlar (API çağıranlar)
+    verify: (req, res, next) => guardianInstance.analyze(req, res, next),
+    // nginx auth_request alt isteği
+    authRequest: (req, res) => guardianInstance.authRequest(req, res)
+};
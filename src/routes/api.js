@@ -1,10 +1,18 @@
 const express = require('express');
 const ipAnalyzer = require('../services/ip-analyzer');
 const logService = require('../services/log-service');
+const verdictTokenService = require('../services/verdict-token-service');
+const cacheService = require('../services/cache-service');
+const { isValidIP } = require('../utils/ip-utils');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
+function normalizeHeaders(headers) {
+    if (!headers || typeof headers !== 'object') return {};
+    return Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value)]));
+}
+
 // API test endpoint
 router.get('/status', (req, res) => {
     res.json({
@@ -19,7 +27,7 @@ router.get('/status', (req, res) => {
 // IP analiz endpoint
 router.post('/analyze', async (req, res) => {
     try {
-        const { ip, userAgent } = req.body;
+        const { ip, userAgent = '', path, method, headers, clearance } = req.body;
         
         if (!ip) {
             return res.status(400).json({
@@ -28,11 +36,25 @@ router.post('/analyze', async (req, res) => {
             });
         }
 
-        const analysis = await ipAnalyzer.analyzeIP(ip, userAgent);
+        if (!isValidIP(ip)) {
+            return res.status(400).json({
+                error: 'Invalid IP address',
+                code: 'INVALID_IP'
+            });
+        }
+
+        // /verify ile aynı karar zinciri; path/method/headers verilirse kurallar o isteğe göre
+        const analysis = ipAnalyzer.decide(
+            await ipAnalyzer.analyzeIP(ip, userAgent),
+            { userAgent, path, method, headers: normalizeHeaders(headers), clearance }
+        );
         
+        const verdictToken = verdictTokenService.issue(analysis, userAgent);
+
         res.json({
             success: true,
-            data: analysis
+            data: analysis,
+            ...(verdictToken && { token: verdictToken.token, tokenExpiresAt: verdictToken.expiresAt })
         });
 
     } catch (error) {
@@ -65,6 +87,15 @@ router.post('/analyze/bulk', async (req, res) => {
 
         const results = await Promise.all(
             ips.map(async (ip) => {
+                if (!isValidIP(ip)) {
+                    return {
+                        ip,
+                        error: 'Invalid IP address',
+                        isBlocked: true,
+                        reason: 'INVALID_IP'
+                    };
+                }
+
                 try {
                     return await ipAnalyzer.analyzeIP(ip);
                 } catch (error) {
@@ -94,9 +125,11 @@ router.post('/analyze/bulk', async (req, res) => {
 
 // Basit health check
 router.get('/health', (req, res) => {
+    const cache = cacheService.getHealth();
     res.status(200).json({
-        status: 'healthy',
-        timestamp: new Date().toISOString()
+        status: cache.status === 'up' ? 'healthy' : 'degraded',
+        timestamp: new Date().toISOString(),
+        cache
     });
 });
 
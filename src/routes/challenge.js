@@ -0,0 +1,47 @@
+const express = require('express');
+const challengeService = require('../services/challenge-service');
+const config = require('../config');
+const { resolveClientIP } = require('../utils/client-ip');
+const { sendChallengePage } = require('../utils/challenge-page');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Nginx error_page ile çağrılır; dönüş adresi ?return= ya da X-Original-URI
+router.get('/', (req, res) => {
+    const client = resolveClientIP(req, config.get());
+    const challenge = challengeService.issue(client.ip, req.headers['user-agent']);
+
+    sendChallengePage(res, challenge, req.query.return || req.headers['x-original-uri']);
+});
+
+router.post('/verify', (req, res) => {
+    try {
+        const settings = config.get();
+        const { token, counter } = req.body || {};
+        const client = resolveClientIP(req, settings);
+        const userAgent = req.headers['user-agent'];
+
+        const error = challengeService.verify(token, counter, client.ip, userAgent, settings);
+        if (error) {
+            logger.warn(`Challenge failed for ${client.ip}: ${error}`);
+            return res.status(403).json({ error });
+        }
+
+        const clearance = challengeService.createClearance(client.ip, userAgent, settings);
+        res.cookie(settings.challenge.cookieName, clearance.value, {
+            httpOnly: true,
+            sameSite: 'lax',
+            secure: req.secure,
+            path: '/',
+            maxAge: clearance.maxAge * 1000
+        });
+        res.set('Cache-Control', 'no-store');
+        res.json({ success: true, data: { expiresAt: clearance.expiresAt } });
+    } catch (error) {
+        logger.error('Challenge verify error:', error);
+        res.status(500).json({ error: 'Challenge verification failed' });
+    }
+});
+
+module.exports = router;
@@ -3,6 +3,14 @@ const path = require('path');
 const logService = require('../services/log-service');
 const cacheService = require('../services/cache-service');
 const torService = require('../services/tor-service');
+const vpnService = require('../services/vpn-service');
+const asnService = require('../services/asn-service');
+const reloadService = require('../services/reload-service');
+const accessListService = require('../services/access-list-service');
+const policySimulator = require('../services/policy-simulator');
+const rateLimitService = require('../services/rate-limit-service');
+const verdictTokenService = require('../services/verdict-token-service');
+const config = require('../config');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -19,9 +27,11 @@ function authenticate(req, res, next) {
     try {
         const credentials = Buffer.from(auth.slice(6), 'base64').toString();
         const [username, password] = credentials.split(':');
+        const { dashboard } = config.get();
         
-        if (username === process.env.DASHBOARD_USERNAME && 
-            password === process.env.DASHBOARD_PASSWORD) {
+        if (dashboard.username && username === dashboard.username && 
+            password === dashboard.password) {
+            req.adminUser = username;
             next();
         } else {
             res.setHeader('WWW-Authenticate', 'Basic realm="Guardian Dashboard"');
@@ -51,8 +61,15 @@ router.get('/api/stats', authenticate, async (req, res) => {
             success: true,
             data: {
                 requests: stats,
-                cache: cacheStats,
+                cache: { ...cacheStats, health: cacheService.getHealth() },
                 tor: torStats,
+                asn: asnService.getStatus(),
+                reload: reloadService.getStatus(),
+                rateLimit: rateLimitService.getStats(),
+                lists: {
+                    torNodes: torService.getListStatus(),
+                    vpnRanges: vpnService.getListStatus()
+                },
                 uptime: process.uptime(),
                 memory: process.memoryUsage()
             }
@@ -98,4 +115,177 @@ router.post('/api/tor/update', authenticate, async (req, res) => {
     }
 });
 
+router.post('/api/reload', authenticate, async (req, res) => {
+    try {
+        const result = await reloadService.reload('admin-api');
+        res.json({ success: true, message: 'Configuration reloaded', data: result });
+    } catch (error) {
+        res.status(400).json({
+            error: 'Reload failed, previous configuration kept',
+            details: error.message
+        });
+    }
+});
+
+// What-if: kayıtlı istekleri aday config/kurallarla yeniden değerlendir
+const MAX_SIMULATION_REQUESTS = 50000;
+
+router.post('/api/simulate', authenticate, async (req, res) => {
+    try {
+        const { config: overrides = {}, rules, from, to, limit, samples } = req.body || {};
+
+        const end = to ? new Date(to) : new Date();
+        const start = from ? new Date(from) : new Date(end.getTime() - 24 * 60 * 60 * 1000);
+        if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || start > end) {
+            return res.status(400).json({ error: 'from and to must be dates with from before to' });
+        }
+        if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+            return res.status(400).json({ error: 'config must be an object of overrides' });
+        }
+
+        const { report, errors } = await policySimulator.run({
+            from: start,
+            to: end,
+            // Kısayol: sadece kural seti denenecekse "rules" yeterli
+            overrides: rules !== undefined ? { ...overrides, rules } : overrides,
+            limit: Math.min(parseInt(limit) || 10000, MAX_SIMULATION_REQUESTS),
+            samples: Math.min(parseInt(samples) || 5, 50)
+        });
+
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid candidate configuration', details: errors });
+        }
+
+        res.json({ success: true, data: report });
+    } catch (error) {
+        logger.error('Policy simulation error:', error);
+        res.status(500).json({ error: 'Simulation failed' });
+    }
+});
+
+// Allow/deny list yönetimi
+const MAX_IMPORT_ENTRIES = 10000;
+
+router.get('/api/lists', authenticate, (req, res) => {
+    try {
+        const { list, type, source, q } = req.query;
+        const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+        const offset = parseInt(req.query.offset) || 0;
+
+        const entries = accessListService.search({
+            list,
+            type,
+            source,
+            q,
+            includeExpired: req.query.includeExpired === 'true'
+        });
+
+        res.json({
+            success: true,
+            total: entries.length,
+            data: entries.slice(offset, offset + limit)
+        });
+    } catch (error) {
+        logger.error('Access list search error:', error);
+        res.status(500).json({ error: 'Failed to search access lists' });
+    }
+});
+
+router.get('/api/lists/:id', authenticate, (req, res) => {
+    const entry = accessListService.getEntry(req.params.id);
+    if (!entry) {
+        return res.status(404).json({ error: 'Entry not found' });
+    }
+    res.json({ success: true, data: entry });
+});
+
+router.post('/api/lists', authenticate, async (req, res) => {
+    try {
+        const { entries, errors } = accessListService.validateEntries([req.body || {}], {}, req.adminUser);
+
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid entry', details: errors[0].error });
+        }
+
+        const [entry] = await accessListService.addEntries(entries);
+        res.status(201).json({ success: true, data: entry });
+    } catch (error) {
+        logger.error('Access list add error:', error);
+        res.status(500).json({ error: 'Failed to add entry' });
+    }
+});
+
+router.post('/api/lists/import', authenticate, async (req, res) => {
+    try {
+        const { entries: inputs, defaults = {} } = req.body || {};
+
+        if (!Array.isArray(inputs) || inputs.length === 0) {
+            return res.status(400).json({ error: 'entries array is required' });
+        }
+        if (inputs.length > MAX_IMPORT_ENTRIES) {
+            return res.status(400).json({ error: `Maximum ${MAX_IMPORT_ENTRIES} entries allowed per import` });
+        }
+
+        // Denetim kaydı için author her zaman giriş yapan kullanıcıdır
+        const { entries, errors } = accessListService.validateEntries(inputs, defaults, req.adminUser);
+
+        // Hepsi ya da hiçbiri - hatalı satır varsa hiçbir kayıt eklenmez
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Import rejected, no entries were added', details: errors });
+        }
+
+        await accessListService.addEntries(entries);
+        res.status(201).json({ success: true, imported: entries.length, data: entries });
+    } catch (error) {
+        logger.error('Access list import error:', error);
+        res.status(500).json({ error: 'Failed to import entries' });
+    }
+});
+
+router.delete('/api/lists/:id', authenticate, async (req, res) => {
+    try {
+        const entry = accessListService.getEntry(req.params.id);
+        if (!entry) {
+            return res.status(404).json({ error: 'Entry not found' });
+        }
+        if (entry.source === 'config') {
+            return res.status(409).json({ error: 'Entry is defined in config.yml and cannot be removed through the API' });
+        }
+
+        await accessListService.removeEntry(entry.id);
+        res.json({ success: true, data: entry });
+    } catch (error) {
+        logger.error('Access list delete error:', error);
+        res.status(500).json({ error: 'Failed to remove entry' });
+    }
+});
+
+// Karar token'ı iptalleri (tek token ya da bir IP'nin tüm token'ları)
+router.get('/api/tokens/revocations', authenticate, (req, res) => {
+    res.json({ success: true, data: verdictTokenService.getRevocations() });
+});
+
+router.post('/api/tokens/revoke', authenticate, (req, res) => {
+    try {
+        const { jti, token, ip, note } = req.body || {};
+        const entry = verdictTokenService.revoke({ jti, token, ip, note, author: req.adminUser });
+        res.status(201).json({ success: true, data: entry });
+    } catch (error) {
+        res.status(400).json({ error: 'Invalid revocation', details: error.message });
+    }
+});
+
+router.delete('/api/tokens/revocations/:id', authenticate, (req, res) => {
+    try {
+        const entry = verdictTokenService.removeRevocation(req.params.id);
+        if (!entry) {
+            return res.status(404).json({ error: 'Revocation not found' });
+        }
+        res.json({ success: true, data: entry });
+    } catch (error) {
+        logger.error('Token revocation delete error:', error);
+        res.status(500).json({ error: 'Failed to remove revocation' });
+    }
+});
+
 module.exports = router;
@@ -147,7 +147,9 @@ router.get('/health', mobileAuth, (req, res) => {
         },
         cache: {
             hitRate: Math.round(stats.hitRate * 100) + '%',
-            keys: stats.keys
+            keys: stats.keys,
+            backend: stats.backend,
+            status: cacheService.getHealth().status
         },
         timestamp: new Date().toISOString()
     });
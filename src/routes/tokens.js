@@ -0,0 +1,18 @@
+const express = require('express');
+const verdictTokenService = require('../services/verdict-token-service');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Backend middleware'leri anahtarları ve iptal listesini buradan periyodik çeker
+router.get('/', (req, res) => {
+    try {
+        res.set('Cache-Control', 'no-store');
+        res.json({ success: true, data: verdictTokenService.getVerificationData() });
+    } catch (error) {
+        logger.error('Verdict token keys error:', error);
+        res.status(500).json({ error: 'Failed to load verdict token keys' });
+    }
+});
+
+module.exports = router;
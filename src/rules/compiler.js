@@ -0,0 +1,335 @@
+/**
+ * Custom rule compiler
+ * Turns declarative rules (config.rules) into matcher functions. Rules are
+ * data only: conditions come from a fixed set and patterns are compiled
+ * once, nothing user supplied is executed as code.
+ */
+
+const CidrMatcher = require('../utils/cidr-matcher');
+const { parseIP, parseCIDR } = require('../utils/ip-utils');
+const { backtrackingRisk } = require('./regex-safety');
+
+const ACTIONS = ['allow', 'block', 'challenge', 'score', 'tag'];
+const RULE_KEYS = ['id', 'description', 'priority', 'enabled', 'monitor', 'match', 'action', 'points', 'tags', 'reason'];
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+// Blok/challenge sebebi ya da score kurallarının sinyal adı
+const DEFAULT_REASONS = {
+    block: 'RULE_BLOCKED',
+    challenge: 'CHALLENGE_REQUIRED',
+    score: 'CUSTOM_RULE'
+};
+
+// Aşırı uzun desen/girdi ile regex'in CPU'yu kilitlemesini önle
+const MAX_PATTERN_LENGTH = 512;
+const MAX_SUBJECT_LENGTH = 2048;
+
+function fail(field, message) {
+    const error = new Error(message);
+    error.field = field;
+    throw error;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function toList(value, field) {
+    const list = Array.isArray(value) ? value : [value];
+    if (list.length === 0 || list.some(item => typeof item !== 'string' && typeof item !== 'number')) {
+        fail(field, 'must be a string or a non-empty list of strings');
+    }
+    return list.map(String);
+}
+
+function compileRegex(pattern, field) {
+    if (typeof pattern !== 'string' || !pattern) {
+        fail(field, 'must be a regular expression string');
+    }
+    if (pattern.length > MAX_PATTERN_LENGTH) {
+        fail(field, `regular expression is longer than ${MAX_PATTERN_LENGTH} characters`);
+    }
+
+    let regex;
+    try {
+        regex = new RegExp(pattern, 'i');
+    } catch (error) {
+        fail(field, `not a valid regular expression (${error.message})`);
+    }
+
+    // Uzunluk sınırı geri izlemeyi durdurmaz; riskli yapılar derlemede reddedilir
+    const risk = backtrackingRisk(pattern);
+    if (risk) {
+        fail(field, `unsafe regular expression: ${risk}`);
+    }
+    return regex;
+}
+
+// "/admin/*" -> ^/admin/.*$
+function compileGlob(pattern) {
+    const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+    return new RegExp(`^${escaped}$`);
+}
+
+function parseClock(value, field) {
+    const match = typeof value === 'string' && value.match(/^([01]?\d|2[0-3]):([0-5]\d)$/);
+    if (!match) fail(field, `must be a time like "22:00" (got ${JSON.stringify(value)})`);
+    return Number(match[1]) * 60 + Number(match[2]);
+}
+
+function test(regex, value) {
+    return regex.test(String(value ?? '').slice(0, MAX_SUBJECT_LENGTH));
+}
+
+/**
+ * Condition compilers: (value, field) => (ctx) => boolean.
+ * ctx: { ip, asn, country, userAgent, path, method, headers, now, analysis }
+ */
+const CONDITIONS = {
+    ip(value, field) {
+        const matcher = new CidrMatcher();
+        toList(value, field).forEach(ip => {
+            if (!parseIP(ip)) fail(field, `"${ip}" is not a valid IP address`);
+            matcher.add(ip);
+        });
+        return ctx => matcher.has(ctx.ip);
+    },
+
+    cidr(value, field) {
+        const matcher = new CidrMatcher();
+        toList(value, field).forEach(range => {
+            if (!parseCIDR(range)) fail(field, `"${range}" is not a valid CIDR range`);
+            matcher.add(range);
+        });
+        return ctx => matcher.has(ctx.ip);
+    },
+
+    asn(value, field) {
+        const asns = new Set(toList(value, field).map(asn => {
+            const normalized = /^\d+$/.test(asn) ? `AS${asn}` : asn.toUpperCase();
+            if (!/^AS\d+$/.test(normalized)) fail(field, `"${asn}" is not a valid ASN (expected e.g. AS13335)`);
+            return normalized;
+        }));
+        return ctx => asns.has(ctx.asn);
+    },
+
+    country(value, field) {
+        const countries = new Set(toList(value, field).map(country => {
+            if (!/^[A-Za-z]{2}$/.test(country)) fail(field, `"${country}" is not an ISO 3166-1 alpha-2 code`);
+            return country.toUpperCase();
+        }));
+        return ctx => countries.has(ctx.country);
+    },
+
+    // Büyük/küçük harf duyarsız regex
+    ua(value, field) {
+        const regex = compileRegex(value, field);
+        return ctx => test(regex, ctx.userAgent);
+    },
+
+    path(value, field) {
+        const globs = toList(value, field).map(compileGlob);
+        return ctx => globs.some(glob => glob.test(ctx.path || ''));
+    },
+
+    method(value, field) {
+        const methods = new Set(toList(value, field).map(method => method.toUpperCase()));
+        return ctx => methods.has(String(ctx.method || '').toUpperCase());
+    },
+
+    // { "x-api-key": false, "accept-language": "^tr" } - true: var, false: yok, string: regex
+    headers(value, field) {
+        if (!isPlainObject(value) || Object.keys(value).length === 0) {
+            fail(field, 'must be a map of header name to true, false or a regular expression');
+        }
+
+        const checks = Object.entries(value).map(([name, expected]) => {
+            const header = name.toLowerCase();
+            if (typeof expected === 'boolean') {
+                return ctx => (ctx.headers?.[header] !== undefined) === expected;
+            }
+            const regex = compileRegex(expected, `${field}.${name}`);
+            return ctx => ctx.headers?.[header] !== undefined && test(regex, ctx.headers[header]);
+        });
+        return ctx => checks.every(check => check(ctx));
+    },
+
+    // { from: "22:00", to: "06:00", days: [sat, sun], timezone: "Europe/Istanbul" }
+    time(value, field) {
+        if (!isPlainObject(value)) fail(field, 'must be an object with from/to, days and timezone');
+
+        const unknown = Object.keys(value).filter(key => !['from', 'to', 'days', 'timezone'].includes(key));
+        if (unknown.length > 0) fail(`${field}.${unknown[0]}`, 'unknown time option (expected from, to, days, timezone)');
+
+        if ((value.from === undefined) !== (value.to === undefined)) {
+            fail(field, 'from and to must be given together');
+        }
+        if (value.from === undefined && value.days === undefined) {
+            fail(field, 'needs from/to, days or both');
+        }
+
+        const from = value.from !== undefined ? parseClock(value.from, `${field}.from`) : null;
+        const to = value.to !== undefined ? parseClock(value.to, `${field}.to`) : null;
+        const days = value.days !== undefined ? toList(value.days, `${field}.days`).map(day => {
+            const normalized = day.slice(0, 3).toLowerCase();
+            if (!DAYS.includes(normalized)) fail(`${field}.days`, `"${day}" is not a day of the week`);
+            return normalized;
+        }) : null;
+
+        let formatter;
+        try {
+            formatter = new Intl.DateTimeFormat('en-US', {
+                timeZone: value.timezone || 'UTC',
+                weekday: 'short',
+                hour: '2-digit',
+                minute: '2-digit',
+                hourCycle: 'h23'
+            });
+        } catch (error) {
+            fail(`${field}.timezone`, `"${value.timezone}" is not a valid time zone`);
+        }
+
+        return ctx => {
+            const parts = Object.fromEntries(formatter.formatToParts(ctx.now).map(part => [part.type, part.value]));
+            const minutes = Number(parts.hour) * 60 + Number(parts.minute);
+
+            // from > to ise gece yarısını aşan aralık (22:00-06:00)
+            const inRange = from === null ||
+                (from <= to ? minutes >= from && minutes < to : minutes >= from || minutes < to);
+            const onDay = days === null || days.includes(parts.weekday.toLowerCase());
+            return inRange && onDay;
+        };
+    },
+
+    // Analizde bulunması gereken sinyaller (hepsi)
+    signals(value, field) {
+        const names = toList(value, field);
+        return ctx => names.every(name => ctx.analysis.signals.some(signal => signal.signal === name));
+    },
+
+    // { min: 40, max: 69 } - o ana kadarki risk skoru
+    score(value, field) {
+        if (!isPlainObject(value) || (value.min === undefined && value.max === undefined)) {
+            fail(field, 'must be an object with min and/or max');
+        }
+        ['min', 'max'].forEach(key => {
+            if (value[key] !== undefined && typeof value[key] !== 'number') fail(`${field}.${key}`, 'must be a number');
+        });
+
+        const min = value.min ?? -Infinity;
+        const max = value.max ?? Infinity;
+        return ctx => ctx.analysis.riskScore >= min && ctx.analysis.riskScore <= max;
+    },
+
+    // Daha önce eşleşen tag kurallarının eklediği etiketler
+    tags(value, field) {
+        const tags = toList(value, field);
+        return ctx => tags.every(tag => ctx.analysis.tags.includes(tag));
+    },
+
+    any(value, field) {
+        if (!Array.isArray(value) || value.length === 0) fail(field, 'must be a non-empty list of conditions');
+        const branches = value.map((branch, i) => compileMatch(branch, `${field}[${i}]`));
+        return ctx => branches.some(branch => branch(ctx));
+    },
+
+    not(value, field) {
+        const inner = compileMatch(value, field);
+        return ctx => !inner(ctx);
+    }
+};
+
+/**
+ * All conditions of a match block must hold. An empty block matches
+ * every request.
+ */
+function compileMatch(match, field) {
+    if (!isPlainObject(match)) fail(field, 'must be an object of conditions');
+
+    const tests = Object.entries(match).map(([key, value]) => {
+        const condition = CONDITIONS[key];
+        if (!condition) {
+            fail(`${field}.${key}`, `unknown condition (expected one of ${Object.keys(CONDITIONS).join(', ')})`);
+        }
+        return condition(value, `${field}.${key}`);
+    });
+
+    return ctx => tests.every(check => check(ctx));
+}
+
+function compileRule(rule, index) {
+    if (!isPlainObject(rule)) fail('', 'must be an object');
+
+    const unknown = Object.keys(rule).filter(key => !RULE_KEYS.includes(key));
+    if (unknown.length > 0) fail(`.${unknown[0]}`, `unknown rule option (expected ${RULE_KEYS.join(', ')})`);
+
+    if (rule.id !== undefined && (typeof rule.id !== 'string' || !rule.id)) fail('.id', 'must be a non-empty string');
+    if (!ACTIONS.includes(rule.action)) fail('.action', `must be one of ${ACTIONS.join(', ')} (got ${JSON.stringify(rule.action)})`);
+    if (rule.priority !== undefined && !Number.isInteger(rule.priority)) fail('.priority', 'must be an integer');
+    if (rule.enabled !== undefined && typeof rule.enabled !== 'boolean') fail('.enabled', 'must be true or false');
+    if (rule.monitor !== undefined && typeof rule.monitor !== 'boolean') fail('.monitor', 'must be true or false');
+    if (rule.match === undefined) fail('.match', 'is required (use {} to match every request)');
+
+    if (rule.action === 'score' && (typeof rule.points !== 'number' || rule.points === 0 || Math.abs(rule.points) > 100)) {
+        fail('.points', 'score rules need points between -100 and 100 (not 0)');
+    }
+    if (rule.action !== 'score' && rule.points !== undefined) fail('.points', 'only applies to score rules');
+
+    const tags = rule.tags === undefined ? [] : toList(rule.tags, '.tags');
+    if (rule.action === 'tag' && tags.length === 0) fail('.tags', 'tag rules need at least one tag');
+
+    if (rule.reason !== undefined && !(typeof rule.reason === 'string' && /^[A-Z][A-Z0-9_]*$/.test(rule.reason))) {
+        fail('.reason', 'must be an UPPER_SNAKE_CASE reason code');
+    }
+
+    return {
+        id: rule.id || `rule-${index + 1}`,
+        description: rule.description || null,
+        priority: rule.priority || 0,
+        enabled: rule.enabled !== false,
+        monitor: rule.monitor === true,
+        action: rule.action,
+        points: rule.points || 0,
+        tags,
+        reason: rule.reason || DEFAULT_REASONS[rule.action] || null,
+        index,
+        matches: compileMatch(rule.match, '.match')
+    };
+}
+
+/**
+ * Compile a rule list. Errors name the rule by index and id, e.g.
+ * '[2].match.ua (rule "scrapers"): not a valid regular expression'.
+ * Enabled rules come back ordered by priority (highest first, then
+ * by position in the list).
+ * @returns {{ rules: Object[], errors: string[] }}
+ */
+function compileRules(rules = []) {
+    const compiled = [];
+    const errors = [];
+    const ids = new Set();
+
+    rules.forEach((rule, index) => {
+        const label = rule?.id ? ` (rule "${rule.id}")` : '';
+        try {
+            const result = compileRule(rule, index);
+            if (ids.has(result.id)) fail('.id', `duplicate rule id "${result.id}"`);
+            ids.add(result.id);
+            compiled.push(result);
+        } catch (error) {
+            if (error.field === undefined) throw error;
+            errors.push(`[${index}]${error.field}${label}: ${error.message}`);
+        }
+    });
+
+    return {
+        rules: compiled
+            .filter(rule => rule.enabled)
+            .sort((a, b) => b.priority - a.priority || a.index - b.index),
+        errors
+    };
+}
+
+module.exports = {
+    ACTIONS,
+    compileRules
+};
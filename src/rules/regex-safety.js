@@ -0,0 +1,190 @@
+/**
+ * Regex backtracking check for rule patterns
+ * Rejects the constructs that make a backtracking engine exponential or
+ * high-polynomial on a crafted subject: backreferences, quantified groups
+ * that contain quantifiers ((a+)+), unbounded repetition of an alternation
+ * ((a|ab)*) and adjacent unbounded quantifiers over overlapping characters
+ * (\d+\w*, .*.*). Patterns are parsed, never executed against input here.
+ */
+
+// Çakışma testi için örnek karakterler (ASCII + birkaç Unicode)
+const SAMPLE_CHARS = [...Array(128).keys()].map(code => String.fromCharCode(code)).concat(['é', 'ş', 'я', '中']);
+
+class PatternReader {
+    constructor(pattern) {
+        this.pattern = pattern;
+        this.pos = 0;
+    }
+
+    peek() {
+        return this.pattern[this.pos];
+    }
+
+    done() {
+        return this.pos >= this.pattern.length;
+    }
+}
+
+// Kaçış dizisinin uzunluğu (\x41, \u{1F600}, \p{L}, \cA ...)
+function readEscape(reader) {
+    const start = reader.pos;
+    const next = reader.pattern[start + 1];
+
+    if (/[1-9]/.test(next) || next === 'k') {
+        throw new Error('backreferences are not allowed');
+    }
+
+    let length = 2;
+    if (next === 'x') length = 4;
+    else if (next === 'c') length = 3;
+    else if (next === 'u') {
+        length = reader.pattern[start + 2] === '{' ? reader.pattern.indexOf('}', start) - start + 1 : 6;
+    } else if (next === 'p' || next === 'P') {
+        length = reader.pattern[start + 2] === '{' ? reader.pattern.indexOf('}', start) - start + 1 : 2;
+    }
+
+    reader.pos = start + Math.max(length, 2);
+    return reader.pattern.slice(start, reader.pos);
+}
+
+function readClass(reader) {
+    const start = reader.pos;
+    reader.pos++;
+    while (!reader.done() && reader.peek() !== ']') {
+        if (reader.peek() === '\\') readEscape(reader);
+        else reader.pos++;
+    }
+    reader.pos++;
+    return reader.pattern.slice(start, reader.pos);
+}
+
+// null | { unbounded: boolean }
+function readQuantifier(reader) {
+    const char = reader.peek();
+    let unbounded;
+
+    if (char === '*' || char === '+') {
+        unbounded = true;
+        reader.pos++;
+    } else if (char === '?') {
+        unbounded = false;
+        reader.pos++;
+    } else if (char === '{') {
+        const match = /^\{(\d+)(,(\d*))?\}/.exec(reader.pattern.slice(reader.pos));
+        if (!match) return null;
+        unbounded = match[2] !== undefined && match[3] === '';
+        reader.pos += match[0].length;
+    } else {
+        return null;
+    }
+
+    // Tembel niteleyici (*?) aynı geri izlemeyi yapar
+    if (reader.peek() === '?') reader.pos++;
+    return { unbounded };
+}
+
+function overlaps(a, b) {
+    try {
+        const left = new RegExp(`^(?:${a})$`, 'i');
+        const right = new RegExp(`^(?:${b})$`, 'i');
+        return SAMPLE_CHARS.some(char => left.test(char) && right.test(char));
+    } catch (error) {
+        return true;
+    }
+}
+
+/**
+ * Parse one alternative sequence up to ")" or the end.
+ * @returns {{ quantified: boolean, alternation: boolean }}
+ */
+function readSequence(reader) {
+    let quantified = false;
+    let alternation = false;
+    let previous = null;
+
+    while (!reader.done() && reader.peek() !== ')') {
+        const char = reader.peek();
+
+        if (char === '|') {
+            alternation = true;
+            previous = null;
+            reader.pos++;
+            continue;
+        }
+        if (char === '^' || char === '$') {
+            previous = null;
+            reader.pos++;
+            continue;
+        }
+
+        let atom = null;
+        let group = null;
+        if (char === '(') {
+            reader.pos++;
+            const lookaround = /^\?(=|!|<=|<!)/.exec(reader.pattern.slice(reader.pos));
+            const prefix = /^\?(:|<[A-Za-z_$][\w$]*>)/.exec(reader.pattern.slice(reader.pos));
+            if (lookaround) reader.pos += lookaround[0].length;
+            else if (prefix) reader.pos += prefix[0].length;
+
+            group = readSequence(reader);
+            if (reader.peek() !== ')') throw new Error('unbalanced parenthesis');
+            reader.pos++;
+        } else if (char === '[') {
+            atom = readClass(reader);
+        } else if (char === '\\') {
+            atom = readEscape(reader);
+        } else {
+            atom = char;
+            reader.pos++;
+        }
+
+        const quantifier = readQuantifier(reader);
+        if (quantifier) quantified = true;
+
+        if (group) {
+            quantified = quantified || group.quantified;
+            if (quantifier && group.quantified) {
+                throw new Error('nested quantifiers are not allowed');
+            }
+            if (quantifier?.unbounded && group.alternation) {
+                throw new Error('repeated alternation is not allowed');
+            }
+            previous = null;
+            continue;
+        }
+
+        if (quantifier?.unbounded) {
+            if (previous && overlaps(previous, atom)) {
+                throw new Error('adjacent quantifiers over overlapping characters are not allowed');
+            }
+            previous = atom;
+        } else {
+            previous = null;
+        }
+    }
+
+    return { quantified, alternation };
+}
+
+/**
+ * Why the pattern could backtrack catastrophically, or null when it is safe.
+ * @param {string} pattern - a pattern that already compiles
+ * @returns {string|null}
+ */
+function backtrackingRisk(pattern) {
+    const reader = new PatternReader(pattern);
+    try {
+        while (!reader.done()) {
+            readSequence(reader);
+            // Dengesiz ")" RegExp derlemesinde zaten reddedilir
+            reader.pos++;
+        }
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+module.exports = {
+    backtrackingRisk
+};
@@ -0,0 +1,372 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const geoip = require('geoip-lite');
+const config = require('../config');
+const asnService = require('./asn-service');
+const cacheService = require('./cache-service');
+const CidrMatcher = require('../utils/cidr-matcher');
+const { parseCIDR } = require('../utils/ip-utils');
+const logger = require('../utils/logger');
+
+const LISTS = ['allow', 'deny'];
+const TYPES = ['ip', 'asn', 'country'];
+
+/**
+ * Manual allow/deny lists.
+ * Entries match an IP/CIDR range, an ASN or a country and come from config
+ * (whitelist/blacklist) or from a JSON store on disk that survives restarts.
+ * IP entries beat ASN entries, which beat country entries; within IP entries
+ * the most specific range wins. On a tie the deny entry wins.
+ */
+class AccessListService {
+    constructor() {
+        this.entries = [];
+        this.allow = new CidrMatcher();
+        this.deny = new CidrMatcher();
+        this.byASN = new Map();
+        this.byCountry = new Map();
+        this.storeFile = null;
+        this.pruneInterval = 60000; // 1 dakika
+    }
+
+    async initialize() {
+        this.storeFile = config.get().dataSources.accessLists;
+        this.entries = this.readStore();
+        this.rebuild();
+
+        // Süresi dolan kayıtları periyodik temizle
+        setInterval(() => this.pruneExpired(), this.pruneInterval).unref();
+
+        logger.info(`Access lists loaded: ${this.getEntries().length} entries`);
+    }
+
+    readStore() {
+        if (!fs.existsSync(this.storeFile)) return [];
+
+        try {
+            const content = JSON.parse(fs.readFileSync(this.storeFile, 'utf8'));
+            const stored = Array.isArray(content.entries) ? content.entries : [];
+
+            return stored.flatMap(entry => {
+                try {
+                    return [this.normalizeEntry(entry, 'store')];
+                } catch (error) {
+                    logger.warn(`Skipping invalid access list entry in ${this.storeFile}: ${error.message}`);
+                    return [];
+                }
+            });
+        } catch (error) {
+            logger.error(`Could not read access lists from ${this.storeFile}:`, error.message);
+            return [];
+        }
+    }
+
+    saveStore() {
+        const dir = path.dirname(this.storeFile);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+
+        // Yarım yazılmış dosya kalmaması için önce geçici dosyaya yaz
+        const tmpFile = `${this.storeFile}.tmp`;
+        fs.writeFileSync(tmpFile, JSON.stringify({ entries: this.entries }, null, 2));
+        fs.renameSync(tmpFile, this.storeFile);
+    }
+
+    inferType(value) {
+        if (/^AS\d+$/i.test(value)) return 'asn';
+        if (/^[A-Za-z]{2}$/.test(value)) return 'country';
+        return 'ip';
+    }
+
+    normalizeValue(type, value) {
+        switch (type) {
+            case 'ip':
+                if (!parseCIDR(value)) {
+                    throw new Error(`"${value}" is not a valid IP address or CIDR range`);
+                }
+                return value;
+            case 'asn':
+                if (!/^AS\d+$/i.test(value)) {
+                    throw new Error(`"${value}" is not a valid ASN (expected e.g. AS13335)`);
+                }
+                return value.toUpperCase();
+            case 'country':
+                if (!/^[A-Za-z]{2}$/.test(value)) {
+                    throw new Error(`"${value}" is not a valid ISO 3166-1 alpha-2 country code`);
+                }
+                return value.toUpperCase();
+        }
+    }
+
+    normalizeEntry(input, source) {
+        if (!input || typeof input !== 'object') {
+            throw new Error('Entry must be an object');
+        }
+        if (!LISTS.includes(input.list)) {
+            throw new Error(`list must be one of ${LISTS.join(', ')}`);
+        }
+
+        const rawValue = typeof input.value === 'number' ? `AS${input.value}` : String(input.value ?? '').trim();
+        if (!rawValue) {
+            throw new Error('value is required');
+        }
+
+        const type = input.type || this.inferType(rawValue);
+        if (!TYPES.includes(type)) {
+            throw new Error(`type must be one of ${TYPES.join(', ')}`);
+        }
+
+        let expiresAt = null;
+        if (input.ttl !== undefined && input.ttl !== null) {
+            const ttl = Number(input.ttl);
+            if (!Number.isFinite(ttl) || ttl <= 0) {
+                throw new Error(`ttl must be a positive number of seconds (got ${JSON.stringify(input.ttl)})`);
+            }
+            expiresAt = new Date(Date.now() + ttl * 1000).toISOString();
+        } else if (input.expiresAt) {
+            const time = Date.parse(input.expiresAt);
+            if (Number.isNaN(time)) {
+                throw new Error(`"${input.expiresAt}" is not a valid expiry date`);
+            }
+            expiresAt = new Date(time).toISOString();
+        }
+
+        return {
+            id: input.id || crypto.randomBytes(8).toString('hex'),
+            list: input.list,
+            type,
+            value: this.normalizeValue(type, rawValue),
+            reason: input.reason || null,
+            note: input.note || null,
+            author: input.author || null,
+            expiresAt,
+            createdAt: input.createdAt || new Date().toISOString(),
+            source
+        };
+    }
+
+    configEntries(settings) {
+        const sections = [
+            ['allow', settings.whitelist],
+            ['deny', settings.blacklist]
+        ];
+
+        return sections
+            .filter(([, section]) => section.enabled)
+            .flatMap(([list, section]) => section.ips.map((item, i) => {
+                const entry = typeof item === 'string' ? { value: item } : { value: item.ip, note: item.note, expiresAt: item.expires };
+                return this.normalizeEntry({ ...entry, list, type: 'ip', id: `config-${list}-${i}` }, 'config');
+            }));
+    }
+
+    isExpired(entry, now = Date.now()) {
+        return entry.expiresAt !== null && Date.parse(entry.expiresAt) <= now;
+    }
+
+    /**
+     * Rebuild all lookup structures from config + stored entries and swap
+     * them in.
+     */
+    rebuild(settings = config.get()) {
+        const now = Date.now();
+        const allow = new CidrMatcher();
+        const deny = new CidrMatcher();
+        const byASN = new Map();
+        const byCountry = new Map();
+
+        [...this.configEntries(settings), ...this.entries]
+            .filter(entry => !this.isExpired(entry, now))
+            .forEach(entry => {
+                if (entry.type === 'ip') {
+                    (entry.list === 'allow' ? allow : deny).add(entry.value, entry);
+                    return;
+                }
+
+                const index = entry.type === 'asn' ? byASN : byCountry;
+                const existing = index.get(entry.value);
+                // Aynı değer için deny kaydı öncelikli
+                if (!existing || entry.list === 'deny') {
+                    index.set(entry.value, entry);
+                }
+            });
+
+        this.allow = allow;
+        this.deny = deny;
+        this.byASN = byASN;
+        this.byCountry = byCountry;
+    }
+
+    /**
+     * Matching entry for the IP, or null when no list applies.
+     */
+    check(ip) {
+        const allowed = this.allow.match(ip);
+        const denied = this.deny.match(ip);
+
+        let entry = null;
+        if (denied && (!allowed || denied.prefix >= allowed.prefix)) {
+            entry = denied.data;
+        } else if (allowed) {
+            entry = allowed.data;
+        }
+
+        // ASN/ülke kayıtları yerel veritabanlarıyla çözülür (harici istek yok)
+        if (!entry && this.byASN.size > 0) {
+            const asn = asnService.lookup(ip);
+            entry = asn ? this.byASN.get(asn.asn) || null : null;
+        }
+        if (!entry && this.byCountry.size > 0) {
+            const geo = geoip.lookup(ip);
+            entry = geo ? this.byCountry.get(geo.country) || null : null;
+        }
+
+        // Süresi dolmuş bir kayıt daha geniş bir kaydı gölgeliyor olabilir
+        if (entry && this.isExpired(entry)) {
+            this.rebuild();
+            return this.check(ip);
+        }
+
+        return entry;
+    }
+
+    /**
+     * Validate a batch of entries without storing them. Returns the
+     * normalized entries and a list of { index, error }. `author` (the
+     * authenticated admin) overrides any author in the input or defaults.
+     * Entries already on the list (or repeated in the batch) are errors.
+     */
+    validateEntries(inputs, defaults = {}, author = null) {
+        const entries = [];
+        const errors = [];
+        const keyOf = entry => `${entry.list}|${entry.type}|${entry.value}`;
+        const existing = new Set(this.entries.filter(entry => !this.isExpired(entry)).map(keyOf));
+        const seen = new Set();
+
+        inputs.forEach((input, index) => {
+            try {
+                const entry = this.normalizeEntry({ ...defaults, ...input, id: undefined, createdAt: undefined, author }, 'store');
+                if (existing.has(keyOf(entry))) {
+                    throw new Error(`${entry.value} is already on the ${entry.list} list`);
+                }
+                if (seen.has(keyOf(entry))) {
+                    throw new Error(`${entry.value} appears more than once`);
+                }
+
+                seen.add(keyOf(entry));
+                entries.push(entry);
+            } catch (error) {
+                errors.push({ index, value: input?.value, error: error.message });
+            }
+        });
+
+        return { entries, errors };
+    }
+
+    async addEntries(entries) {
+        this.entries.push(...entries);
+        this.saveStore();
+        this.rebuild();
+        await this.invalidateCache(entries);
+
+        logger.info(`Access list entries added: ${entries.map(entry => `${entry.list} ${entry.value}`).join(', ')}`);
+        return entries;
+    }
+
+    async addEntry(input) {
+        const [entry] = await this.addEntries([this.normalizeEntry(input, 'store')]);
+        return entry;
+    }
+
+    async removeEntry(id) {
+        const entry = this.entries.find(item => item.id === id);
+        if (!entry) return null;
+
+        this.entries = this.entries.filter(item => item.id !== id);
+        this.saveStore();
+        this.rebuild();
+        await this.invalidateCache([entry]);
+
+        logger.info(`Access list entry removed: ${entry.list} ${entry.value}`);
+        return entry;
+    }
+
+    getEntries() {
+        return [...this.configEntries(config.get()), ...this.entries];
+    }
+
+    getEntry(id) {
+        return this.getEntries().find(entry => entry.id === id) || null;
+    }
+
+    /**
+     * Filter entries by list, type, source and a free-text query over
+     * value, reason, note and author.
+     */
+    search({ list, type, source, q, includeExpired = false } = {}) {
+        const now = Date.now();
+        const query = q ? String(q).toLowerCase() : null;
+
+        return this.getEntries().filter(entry => {
+            if (list && entry.list !== list) return false;
+            if (type && entry.type !== type) return false;
+            if (source && entry.source !== source) return false;
+            if (!includeExpired && this.isExpired(entry, now)) return false;
+            if (query) {
+                return [entry.value, entry.reason, entry.note, entry.author]
+                    .some(field => field && field.toLowerCase().includes(query));
+            }
+            return true;
+        });
+    }
+
+    /**
+     * Drop cached analyses for every IP the changed entries cover so the
+     * change applies on the next request.
+     */
+    async invalidateCache(entries) {
+        const ranges = new CidrMatcher();
+        const asns = new Set();
+        const countries = new Set();
+
+        entries.forEach(entry => {
+            if (entry.type === 'ip') ranges.add(entry.value);
+            if (entry.type === 'asn') asns.add(entry.value);
+            if (entry.type === 'country') countries.add(entry.value);
+        });
+
+        // IPv6 anahtarları /64 olduğundan analiz edilen adrese bakılır
+        const removed = await cacheService.invalidate('intel:', (key, value) => {
+            const details = Object.values(value?.results || {})
+                .reduce((merged, { result }) => ({ ...merged, ...result?.details }), {});
+
+            return ranges.has(value?.ip) ||
+                asns.has(details.asn) ||
+                countries.has(details.country);
+        });
+
+        if (removed > 0) {
+            logger.debug(`Invalidated ${removed} cached IP intel entries after access list change`);
+        }
+        return removed;
+    }
+
+    pruneExpired() {
+        try {
+            const now = Date.now();
+            const active = this.entries.filter(entry => !this.isExpired(entry, now));
+
+            if (active.length !== this.entries.length) {
+                logger.info(`Pruned ${this.entries.length - active.length} expired access list entries`);
+                this.entries = active;
+                this.saveStore();
+            }
+            this.rebuild();
+        } catch (error) {
+            logger.warn('Access list prune failed:', error.message);
+        }
+    }
+}
+
+module.exports = new AccessListService();
@@ -0,0 +1,83 @@
+const fs = require('fs');
+const maxmind = require('maxmind');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+class ASNService {
+    constructor() {
+        this.reader = null;
+        this.databasePath = null;
+        this.lastLoad = null;
+        this.error = null;
+    }
+
+    async initialize() {
+        await this.loadDatabase();
+    }
+
+    async loadDatabase(databasePath = config.get().dataSources.asnDatabase) {
+        this.applyDatabase(await this.openDatabase(databasePath));
+    }
+
+    /**
+     * Open the .mmdb file without touching the active reader.
+     */
+    async openDatabase(databasePath) {
+        try {
+            if (!fs.existsSync(databasePath)) {
+                throw new Error(`ASN database not found at ${databasePath}`);
+            }
+
+            const reader = await maxmind.open(databasePath);
+            return { databasePath, reader, error: null };
+        } catch (error) {
+            return { databasePath, reader: null, error: error.message };
+        }
+    }
+
+    applyDatabase({ databasePath, reader, error }) {
+        this.databasePath = databasePath;
+        this.reader = reader;
+        this.error = error;
+
+        if (reader) {
+            this.lastLoad = Date.now();
+            logger.info(`ASN database loaded from ${databasePath}`);
+        } else {
+            // Veritabanı opsiyonel - ASN kontrolü olmadan devam et
+            logger.warn(`ASN lookups disabled: ${error}`);
+        }
+    }
+
+    isAvailable() {
+        return this.reader !== null;
+    }
+
+    lookup(ip) {
+        if (!this.reader) return null;
+
+        try {
+            const result = this.reader.get(ip);
+            if (!result || !result.autonomous_system_number) return null;
+
+            return {
+                asn: `AS${result.autonomous_system_number}`,
+                org: result.autonomous_system_organization || null
+            };
+        } catch (error) {
+            logger.warn(`ASN lookup failed for ${ip}:`, error.message);
+            return null;
+        }
+    }
+
+    getStatus() {
+        return {
+            available: this.isAvailable(),
+            databasePath: this.databasePath,
+            lastLoad: this.lastLoad,
+            error: this.error
+        };
+    }
+}
+
+module.exports = new ASNService();
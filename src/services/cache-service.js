@@ -1,9 +1,22 @@
-const NodeCache = require('node-cache');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const { createStore } = require('../cache');
 const logger = require('../utils/logger');
 
+/**
+ * Cache facade over the configured backend (cache.backend). Backend
+ * errors are logged and treated as misses so a cache outage never fails
+ * a request. The memory backend is snapshotted to disk periodically and
+ * on shutdown, and restored at startup so a restart does not repeat every
+ * external lookup.
+ */
 class CacheService {
     constructor() {
-        this.cache = null;
+        this.store = null;
+        this.snapshotFile = null;
+        this.snapshotTimer = null;
+        this.saving = null;
         this.stats = {
             hits: 0,
             misses: 0,
@@ -11,32 +24,21 @@ class CacheService {
         };
     }
 
-    async initialize() {
+    async initialize(settings = config.get()) {
         try {
-            // Varsayılan olarak memory cache kullan
-            this.cache = new NodeCache({
-                stdTTL: 300, // 5 dakika varsayılan
-                checkperiod: 120, // 2 dakikada bir temizlik
-                useClones: false
-            });
+            this.store = createStore(settings.cache);
+            await this.store.connect();
 
-            // Cache events
-            this.cache.on('set', (key, value) => {
-                this.stats.sets++;
-                logger.debug(`Cache SET: ${key}`);
-            });
+            const { snapshot } = settings.cache;
+            if (snapshot.enabled && typeof this.store.dump === 'function') {
+                this.snapshotFile = settings.dataSources.cacheSnapshot;
+                await this.loadSnapshot();
 
-            this.cache.on('expired', (key, value) => {
-                logger.debug(`Cache EXPIRED: ${key}`);
-            });
+                this.snapshotTimer = setInterval(() => this.saveSnapshot(), snapshot.interval * 1000);
+                this.snapshotTimer.unref();
+            }
 
-            logger.info('Cache service initialized (Memory Cache)');
-            
-            // TODO: Redis desteği eklenebilir
-            // if (process.env.REDIS_URL) {
-            //     await this.initializeRedis();
-            // }
-            
+            logger.info(`Cache service initialized (${this.store.name})`);
         } catch (error) {
             logger.error('Failed to initialize cache service:', error);
             throw error;
@@ -45,7 +47,7 @@ class CacheService {
 
     async get(key) {
         try {
-            const value = this.cache.get(key);
+            const value = await this.store.get(key);
             
             if (value !== undefined) {
                 this.stats.hits++;
@@ -57,27 +59,28 @@ class CacheService {
                 return null;
             }
         } catch (error) {
-            logger.warn(`Cache GET error for key ${key}:`, error);
+            this.logError(`Cache GET error for key ${key}`, error);
             return null;
         }
     }
 
     async set(key, value, ttl = 300) {
         try {
-            const success = this.cache.set(key, value, ttl);
+            const success = await this.store.set(key, value, ttl);
             if (success) {
+                this.stats.sets++;
                 logger.debug(`Cache SET successful: ${key} (TTL: ${ttl}s)`);
             }
             return success;
         } catch (error) {
-            logger.warn(`Cache SET error for key ${key}:`, error);
+            this.logError(`Cache SET error for key ${key}`, error);
             return false;
         }
     }
 
     async del(key) {
         try {
-            const deleted = this.cache.del(key);
+            const deleted = await this.store.del(key);
             if (deleted > 0) {
                 logger.debug(`Cache DEL: ${key}`);
             }
@@ -88,9 +91,30 @@ class CacheService {
         }
     }
 
+    /**
+     * Delete every key with the given prefix for which predicate(key, value)
+     * returns true. Returns the number of deleted keys.
+     */
+    async invalidate(prefix, predicate) {
+        try {
+            const keys = (await this.store.entries(prefix))
+                .filter(([key, value]) => predicate(key, value))
+                .map(([key]) => key);
+
+            const deleted = keys.length > 0 ? await this.store.del(keys) : 0;
+            if (deleted > 0) {
+                logger.debug(`Cache INVALIDATE: ${deleted} keys (${prefix}*)`);
+            }
+            return deleted;
+        } catch (error) {
+            logger.warn(`Cache INVALIDATE error for prefix ${prefix}:`, error);
+            return 0;
+        }
+    }
+
     async clear() {
         try {
-            this.cache.flushAll();
+            await this.store.clear();
             logger.info('Cache cleared');
             return true;
         } catch (error) {
@@ -100,20 +124,97 @@ class CacheService {
     }
 
     getStats() {
-        const cacheStats = this.cache.getStats();
         return {
             ...this.stats,
-            keys: cacheStats.keys,
-            ksize: cacheStats.ksize,
-            vsize: cacheStats.vsize,
+            backend: this.store.name,
+            ...this.store.getStats(),
             hitRate: this.stats.hits / (this.stats.hits + this.stats.misses) || 0
         };
     }
 
+    // Bağlantı koptuğunda her istek için uyarı basılmaz, durum health'te görünür
+    logError(message, error) {
+        if (this.store.health().status === 'up') {
+            logger.warn(`${message}:`, error);
+        } else {
+            logger.debug(`${message}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Backend connection state: { backend, status: 'up'|'down'|'connecting', ... }
+     */
+    getHealth() {
+        return this.store.health();
+    }
+
+    // Süresi dolmuş girdiler yüklenmez, kalanlar kalan süreleriyle geri gelir
+    async loadSnapshot(now = Date.now()) {
+        let content;
+        try {
+            content = JSON.parse(await fs.promises.readFile(this.snapshotFile, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.warn(`Could not read cache snapshot ${this.snapshotFile}: ${error.message}`);
+            }
+            return 0;
+        }
+
+        // null, dizi olmayan veya bozuk girdili dosya boş snapshot sayılır
+        const entries = content && Array.isArray(content.entries) ? content.entries : [];
+        const live = entries.filter(entry =>
+            Array.isArray(entry) && typeof entry[0] === 'string' && entry[2] > now);
+        for (const [key, value, expiresAt] of live) {
+            await this.store.set(key, value, (expiresAt - now) / 1000);
+        }
+
+        logger.info(`Restored ${live.length} cache entries from snapshot (saved ${content?.savedAt})`);
+        return live.length;
+    }
+
+    /**
+     * Write the memory cache to dataSources.cacheSnapshot (atomically, through a
+     * temporary file). Concurrent calls share the running write.
+     */
+    saveSnapshot() {
+        if (!this.snapshotFile) return Promise.resolve();
+
+        if (!this.saving) {
+            this.saving = this.writeSnapshot().finally(() => {
+                this.saving = null;
+            });
+        }
+        return this.saving;
+    }
+
+    async writeSnapshot() {
+        try {
+            const entries = this.store.dump();
+            const tmpFile = `${this.snapshotFile}.tmp`;
+
+            await fs.promises.mkdir(path.dirname(this.snapshotFile), { recursive: true });
+            await fs.promises.writeFile(tmpFile, JSON.stringify({ savedAt: new Date().toISOString(), entries }));
+            await fs.promises.rename(tmpFile, this.snapshotFile);
+
+            logger.debug(`Cache snapshot saved: ${entries.length} entries`);
+        } catch (error) {
+            logger.warn(`Could not write cache snapshot ${this.snapshotFile}: ${error.message}`);
+        }
+    }
+
+    // Kapanışta son durum diske yazılır
+    async close() {
+        clearInterval(this.snapshotTimer);
+        if (this.store) {
+            await this.saveSnapshot();
+            await this.store.close();
+        }
+    }
+
     // Bellek temizleme
-    cleanup() {
+    async cleanup() {
         try {
-            this.cache.flushAll();
+            await this.store.clear();
             this.stats = { hits: 0, misses: 0, sets: 0 };
             logger.info('Cache cleanup completed');
         } catch (error) {
@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const config = require('../config');
+const { subnetKey } = require('../utils/ip-utils');
+const logger = require('../utils/logger');
+
+const CLEARANCE_VERSION = 'v1';
+const MAX_USED_NONCES = 100000;
+
+function base64url(value) {
+    return Buffer.from(value).toString('base64url');
+}
+
+/**
+ * Proof-of-work challenges (hashcash style) and the clearance cookie
+ * issued once one is solved. Both are stateless HMAC-signed tokens bound
+ * to the client subnet and User-Agent; only used challenge nonces are
+ * remembered so a solution cannot be replayed.
+ */
+class ChallengeService {
+    constructor() {
+        // challenge.secret boşsa: süreç başına rastgele anahtar (restart'ta cookie'ler geçersiz)
+        this.fallbackSecret = crypto.randomBytes(32);
+        this.usedNonces = new Map();
+    }
+
+    initialize(settings = config.get()) {
+        if (!settings.challenge.secret) {
+            logger.warn('challenge.secret is not set, clearance cookies will not survive a restart');
+        }
+    }
+
+    secret(settings) {
+        return settings.challenge.secret || this.fallbackSecret;
+    }
+
+    sign(payload, settings) {
+        return crypto.createHmac('sha256', this.secret(settings)).update(payload).digest('base64url');
+    }
+
+    /**
+     * Decode a "<payload>.<signature>" token, or null when the signature
+     * does not match or it has expired.
+     */
+    open(token, settings, now = Date.now()) {
+        if (typeof token !== 'string') return null;
+
+        const [payload, signature] = token.split('.');
+        if (!payload || !signature) return null;
+
+        const expected = Buffer.from(this.sign(payload, settings));
+        const actual = Buffer.from(signature);
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+        try {
+            const data = JSON.parse(Buffer.from(payload, 'base64url').toString());
+            return data.exp > now ? data : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // İstemci bağı: IPv4 adresi / IPv6 /64 ve User-Agent özeti
+    binding(ip, userAgent) {
+        return {
+            net: subnetKey(ip),
+            ua: crypto.createHash('sha256').update(String(userAgent || '')).digest('base64url').slice(0, 16)
+        };
+    }
+
+    /**
+     * New challenge for the client: find a counter so that
+     * sha256(`${token}:${counter}`) starts with `difficulty` zero bits.
+     * @returns {{ token: string, difficulty: number, expiresAt: string }}
+     */
+    issue(ip, userAgent, settings = config.get()) {
+        const { difficulty, solveTimeout } = settings.challenge;
+        const exp = Date.now() + solveTimeout * 1000;
+        const payload = base64url(JSON.stringify({
+            t: 'challenge',
+            n: crypto.randomBytes(12).toString('base64url'),
+            d: difficulty,
+            exp,
+            ...this.binding(ip, userAgent)
+        }));
+
+        return {
+            token: `${payload}.${this.sign(payload, settings)}`,
+            difficulty,
+            expiresAt: new Date(exp).toISOString()
+        };
+    }
+
+    /**
+     * Check a solution. Returns null when valid, otherwise the reason.
+     */
+    verify(token, counter, ip, userAgent, settings = config.get()) {
+        const data = this.open(token, settings);
+        // Clearance cookie'si challenge yerine kullanılamaz
+        if (!data || data.t !== 'challenge') return 'Challenge is invalid or expired';
+
+        const binding = this.binding(ip, userAgent);
+        if (data.net !== binding.net || data.ua !== binding.ua) return 'Challenge was issued to another client';
+        if (this.usedNonces.has(data.n)) return 'Challenge was already solved';
+
+        const hash = crypto.createHash('sha256').update(`${token}:${counter}`).digest();
+        if (!/^\d{1,15}$/.test(String(counter)) || this.leadingZeroBits(hash) < data.d) {
+            return 'Proof of work does not meet the difficulty';
+        }
+
+        this.rememberNonce(data.n, data.exp);
+        return null;
+    }
+
+    leadingZeroBits(hash) {
+        let bits = 0;
+        for (const byte of hash) {
+            if (byte === 0) {
+                bits += 8;
+                continue;
+            }
+            bits += Math.clz32(byte) - 24;
+            break;
+        }
+        return bits;
+    }
+
+    rememberNonce(nonce, exp) {
+        const now = Date.now();
+        for (const [key, expiresAt] of this.usedNonces) {
+            if (expiresAt > now && this.usedNonces.size < MAX_USED_NONCES) break;
+            this.usedNonces.delete(key);
+        }
+        this.usedNonces.set(nonce, exp);
+    }
+
+    /**
+     * Signed clearance cookie value for a client that solved a challenge.
+     * @returns {{ value: string, maxAge: number, expiresAt: string }}
+     */
+    createClearance(ip, userAgent, settings = config.get()) {
+        const { clearanceTtl } = settings.challenge;
+        const exp = Date.now() + clearanceTtl * 1000;
+        const payload = base64url(JSON.stringify({ v: CLEARANCE_VERSION, exp, ...this.binding(ip, userAgent) }));
+
+        return {
+            value: `${payload}.${this.sign(payload, settings)}`,
+            maxAge: clearanceTtl,
+            expiresAt: new Date(exp).toISOString()
+        };
+    }
+
+    /**
+     * Clearance payload when the cookie is valid for this client, else null.
+     */
+    checkClearance(value, ip, userAgent, settings = config.get()) {
+        const data = this.open(value, settings);
+        if (!data || data.v !== CLEARANCE_VERSION) return null;
+
+        const binding = this.binding(ip, userAgent);
+        return data.net === binding.net && data.ua === binding.ua ? data : null;
+    }
+}
+
+module.exports = new ChallengeService();
@@ -0,0 +1,66 @@
+const GeoMatcher = require('../utils/geo-matcher');
+
+/**
+ * Geo policy (security.geoPolicy) and per-location risk scores.
+ * Matchers are compiled once per configuration object and replaced when a
+ * reload produces a new one.
+ */
+class GeoPolicyService {
+    constructor() {
+        this.compiled = new WeakMap();
+    }
+
+    /**
+     * blockedCountries keep their riskyCountry score unless
+     * geoPolicy.scores overrides them.
+     */
+    compile(settings) {
+        const { security } = settings;
+        let policy = this.compiled.get(security);
+
+        if (!policy) {
+            policy = {
+                locations: new GeoMatcher(),
+                scores: new GeoMatcher()
+            };
+            security.geoPolicy.locations.forEach(location => policy.locations.add(location));
+            security.blockedCountries.forEach(country => policy.scores.add(country, security.riskScoring.riskyCountry));
+            Object.entries(security.geoPolicy.scores).forEach(([location, points]) => policy.scores.add(location, points));
+
+            this.compiled.set(security, policy);
+        }
+
+        return policy;
+    }
+
+    /**
+     * Deny mode blocks the listed locations, allow mode blocks everything
+     * else. Addresses without geo data only fail allow mode when
+     * allowUnknown is off. Returns { mode, location } when blocked.
+     */
+    check(geo, settings) {
+        const { mode, allowUnknown } = settings.security.geoPolicy;
+        if (mode === 'off') return null;
+
+        const known = Boolean(geo && geo.country);
+        const match = known ? this.compile(settings).locations.match(geo) : null;
+        const blocked = mode === 'deny'
+            ? match !== null
+            : (known ? match === null : !allowUnknown);
+
+        return blocked ? { mode, location: match ? match.location : null } : null;
+    }
+
+    /**
+     * Risk points for the most specific matching location (city, region,
+     * then country) as { points, location }, or null.
+     */
+    score(geo, settings) {
+        if (!geo || !geo.country) return null;
+
+        const match = this.compile(settings).scores.match(geo);
+        return match ? { points: match.data, location: match.location } : null;
+    }
+}
+
+module.exports = new GeoPolicyService();
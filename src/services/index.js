@@ -2,6 +2,13 @@ const ipAnalyzer = require('./ip-analyzer');
 const logService = require('./log-service');
 const cacheService = require('./cache-service');
 const torService = require('./tor-service');
+const vpnService = require('./vpn-service');
+const asnService = require('./asn-service');
+const reloadService = require('./reload-service');
+const accessListService = require('./access-list-service');
+const rateLimitService = require('./rate-limit-service');
+const challengeService = require('./challenge-service');
+const verdictTokenService = require('./verdict-token-service');
 const logger = require('../utils/logger');
 
 async function initializeServices() {
@@ -12,11 +19,33 @@ async function initializeServices() {
         await cacheService.initialize();
         logger.info('✅ Cache service initialized');
         
+        // Manuel allow/deny listelerini yükle
+        await accessListService.initialize();
+        logger.info('✅ Access lists initialized');
+        
         // Tor exit node listesini yükle
         await torService.updateTorExitNodes();
+        torService.watchList();
         logger.info('✅ Tor service initialized');
         
-        // IP veritabanlarını kontrol et
+        // VPN/Proxy aralıklarını yükle
+        await vpnService.initialize();
+        logger.info('✅ VPN service initialized');
+        
+        // ASN veritabanını yükle (yoksa ASN kontrolü devre dışı kalır)
+        await asnService.initialize();
+        logger.info(asnService.isAvailable() ? '✅ ASN service initialized' : '⚠️ ASN service running without database');
+        
+        // Rate limit kovalarının periyodik temizliği
+        rateLimitService.initialize();
+        logger.info('✅ Rate limiter initialized');
+        
+        challengeService.initialize();
+        
+        await verdictTokenService.initialize();
+        logger.info('✅ Verdict tokens initialized');
+        
+        // Dedektörleri hazırla (plugin'ler dahil)
         await ipAnalyzer.initialize();
         logger.info('✅ IP analyzer initialized');
         
@@ -32,10 +61,26 @@ async function initializeServices() {
     }
 }
 
+// Kapanmadan önce bellekteki loglar ve cache diske yazılır
+async function shutdownServices() {
+    await Promise.all([
+        logService.flushLogsToDisk(),
+        cacheService.close()
+    ]);
+}
+
 module.exports = {
     initializeServices,
+    shutdownServices,
     ipAnalyzer,
     logService,
     cacheService,
-    torService
+    torService,
+    vpnService,
+    asnService,
+    reloadService,
+    accessListService,
+    rateLimitService,
+    challengeService,
+    verdictTokenService
 };
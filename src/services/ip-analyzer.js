@@ -1,70 +1,89 @@
 const geoip = require('geoip-lite');
-const axios = require('axios');
-const UAParser = require('ua-parser-js');
-const torService = require('./tor-service');
+const accessListService = require('./access-list-service');
+const geoPolicyService = require('./geo-policy-service');
+const ruleEngine = require('./rule-engine');
+const rateLimitService = require('./rate-limit-service');
+const challengeService = require('./challenge-service');
+const cacheService = require('./cache-service');
+const detectors = require('../detectors');
+const { normalizeIP, subnetKey } = require('../utils/ip-utils');
+const config = require('../config');
 const logger = require('../utils/logger');
 
 class IPAnalyzer {
     constructor() {
-        this.vpnRanges = new Set();
-        this.suspiciousASNs = new Set([
-            'AS13335', // Cloudflare
-            'AS15169', // Google
-            'AS16509', // Amazon
-            'AS20473', // Choopa/Vultr
-            'AS14061', // DigitalOcean
-            'AS395747' // Yandex Cloud
-        ]);
+        // intel:<subnet> -> devam eden tazeleme
+        this.inflight = new Map();
     }
 
     async initialize() {
-        try {
-            await this.loadVPNRanges();
-            logger.info('IP Analyzer initialized with VPN/Proxy ranges');
-        } catch (error) {
-            logger.warn('Could not load VPN ranges:', error.message);
-        }
+        const settings = config.get();
+
+        // Plugin dedektörleri (yeniden başlatınca yüklenir)
+        detectors.loadPlugins(settings.detectors.plugins);
+
+        Object.keys(settings.detectors)
+            .filter(name => name !== 'plugins' && !detectors.names().includes(name))
+            .forEach(name => logger.warn(`config.detectors.${name} does not match any registered detector`));
+
+        logger.info(`IP Analyzer initialized with detectors: ${detectors.names().join(', ')}`);
     }
 
     async analyzeIP(ip, userAgent = '') {
         try {
+            // ::ffff:1.2.3.4, zone ID, farklı IPv6 yazımları -> tek biçim
+            ip = normalizeIP(ip) || ip;
+
+            // Manuel allow/deny listeleri harici kontrollerden önce gelir
+            const listed = this.checkAccessLists(ip);
+            if (listed) {
+                return listed;
+            }
+
+            // Analiz boyunca aynı ayarları kullan
+            const settings = config.get();
+
             const analysis = {
                 ip,
                 isBlocked: false,
                 reason: null,
                 riskScore: 0,
+                signals: [],
+                threshold: null,
                 details: {},
-                checks: {
-                    geoip: false,
-                    tor: false,
-                    vpn: false,
-                    userAgent: false,
-                    reputation: false
-                }
+                checks: {}
             };
 
-            // 1. GeoIP Analizi
-            await this.analyzeGeoIP(ip, analysis);
-            
-            // 2. Tor Exit Node Kontrolü
-            await this.checkTorExitNode(ip, analysis);
-            
-            // 3. VPN/Proxy Kontrolü
-            await this.checkVPNProxy(ip, analysis);
-            
-            // 4. User Agent Analizi
-            this.analyzeUserAgent(userAgent, analysis);
-            
-            // 5. IP Reputation Kontrolü
-            if (process.env.ABUSEIPDB_KEY) {
-                await this.checkIPReputation(ip, analysis);
+            // Geo politikası kesin karar verir, dedektörlere gerek yok
+            if (this.checkGeoPolicy(ip, analysis, settings)) {
+                return analysis;
             }
 
+            // Adres katmanı cache'ten, istek katmanı (User-Agent) her istekte
+            const [intel, requestResults] = await Promise.all([
+                this.ipIntel(ip, settings),
+                detectors.run({ ip, userAgent, settings }, ({ scope }) => scope === 'request')
+            ]);
+
+            // Sonuçlar dedektör kayıt sırasıyla uygulanır
+            const order = detectors.names();
+            [...intel.results, ...requestResults]
+                .sort((a, b) => order.indexOf(a.name) - order.indexOf(b.name))
+                .forEach(result => this.applyDetectorResult(analysis, result));
+
+            // En çok puan getiren sinyal önce (sort stabil, eşitlikte dedektör sırası korunur)
+            analysis.signals.sort((a, b) => b.points - a.points);
+
             // Risk skoru hesapla
-            this.calculateRiskScore(analysis);
+            this.calculateRiskScore(analysis, settings);
             
             // Blok kararı ver
-            this.makeBlockDecision(analysis);
+            this.makeBlockDecision(analysis, settings);
+
+            // Tazeleme normal TTL ile yazar; engellenen istek için blocked TTL uygulanır
+            if (intel.leader && analysis.isBlocked && settings.cache.ttl.blocked) {
+                await this.cacheIntel(intel, true, settings);
+            }
 
             return analysis;
 
@@ -75,182 +94,427 @@ class IPAnalyzer {
                 isBlocked: true,
                 reason: 'ANALYSIS_ERROR',
                 riskScore: 100,
+                signals: [],
+                threshold: null,
                 details: { error: 'Analysis failed' }
             };
         }
     }
 
-    async analyzeGeoIP(ip, analysis) {
-        try {
-            const geo = geoip.lookup(ip);
-            if (geo) {
-                analysis.details.country = geo.country;
-                analysis.details.region = geo.region;
-                analysis.details.city = geo.city;
-                analysis.details.timezone = geo.timezone;
-                analysis.checks.geoip = true;
-
-                // Riskli ülkeler
-                const riskyCountries = ['CN', 'RU', 'KP', 'IR'];
-                if (riskyCountries.includes(geo.country)) {
-                    analysis.riskScore += 30;
-                    analysis.details.riskyCountry = true;
-                }
-            }
-        } catch (error) {
-            logger.warn('GeoIP lookup failed:', error.message);
+    /**
+     * Results of the address-scoped detectors (geo, Tor, VPN, ASN,
+     * reputation, plugins), cached per client under `intel:<subnet>`.
+     * Each result expires after its own cache.ttl entry. Expired results
+     * are still used for cache.staleWhileRevalidate seconds while they are
+     * refreshed in the background; only missing results are waited for.
+     * Failed detectors are not cached.
+     * @returns {Promise<{ key: string, entry: Object, ran: Object[], leader: boolean, results: Object[] }>}
+     */
+    async ipIntel(ip, settings) {
+        const key = `intel:${subnetKey(ip)}`;
+        const now = Date.now();
+        const staleMs = settings.cache.staleWhileRevalidate * 1000;
+        const cached = await cacheService.get(key);
+        let entry = { ip, results: { ...cached?.results } };
+
+        const addressDetectors = detectors.active(settings).filter(({ scope }) => scope === 'ip');
+        const expiresAt = ({ detector }) => entry.results[detector.name]?.expiresAt || 0;
+        const expired = addressDetectors.filter(item => expiresAt(item) <= now);
+        const missing = expired.filter(item => expiresAt(item) + staleMs <= now);
+        const names = expired.map(({ detector }) => detector.name);
+
+        let ran = [];
+        let leader = false;
+        if (missing.length > 0) {
+            // Aynı adres için eşzamanlı istekler tek sorguyu bekler
+            leader = !this.inflight.has(key);
+            ({ entry, ran } = await this.refreshIntel(key, entry, names, settings));
+        } else if (expired.length > 0) {
+            // Eski sonuçla cevap verilir, tazeleme arka planda
+            this.refreshIntel(key, entry, names, settings)
+                .catch(error => logger.warn(`Background refresh of ${key} failed: ${error.message}`));
         }
+
+        // Ağırlık cache'e girmez; config değişirse güncel ağırlık uygulanır
+        const ranNames = new Set(ran.map(({ name }) => name));
+        const results = addressDetectors
+            .filter(({ detector }) => !ranNames.has(detector.name) && entry.results[detector.name])
+            .map(({ detector, weight }) => ({
+                name: detector.name,
+                weight,
+                result: entry.results[detector.name].result,
+                error: null,
+                durationMs: 0
+            }));
+
+        return { key, entry, ran, leader, results: [...results, ...ran] };
     }
 
-    async checkTorExitNode(ip, analysis) {
-        try {
-            const isTor = await torService.isTorExitNode(ip);
-            analysis.details.isTor = isTor;
-            analysis.checks.tor = true;
+    /**
+     * Run the named detectors for a cached entry and store the results.
+     * Only one refresh per key is in flight; concurrent callers share it.
+     * @returns {Promise<{ entry: Object, ran: Object[] }>}
+     */
+    refreshIntel(key, entry, names, settings) {
+        if (!this.inflight.has(key)) {
+            const refresh = (async () => {
+                // Adres katmanı User-Agent'a bakmaz, yoksa ilk istemcinin UA'sı herkese uygulanırdı
+                const ran = await detectors.run(
+                    { ip: entry.ip, userAgent: '', settings },
+                    ({ detector, scope }) => scope === 'ip' && names.includes(detector.name)
+                );
+                await this.cacheIntel({ key, entry, ran }, false, settings);
+                return { entry, ran };
+            })().finally(() => this.inflight.delete(key));
 
-            if (isTor && process.env.BLOCK_VPN_TOR === 'true') {
-                analysis.riskScore += 80;
-                analysis.details.torBlocked = true;
-            }
-        } catch (error) {
-            logger.warn('Tor check failed:', error.message);
+            this.inflight.set(key, refresh);
         }
+        return this.inflight.get(key);
     }
 
-    async checkVPNProxy(ip, analysis) {
-        try {
-            // IP-API.com kullanarak VPN/Proxy kontrolü
-            if (process.env.IPAPI_KEY) {
-                const response = await axios.get(`http://ip-api.com/json/${ip}?fields=proxy,hosting`, {
-                    timeout: 3000
-                });
-
-                if (response.data) {
-                    analysis.details.isProxy = response.data.proxy;
-                    analysis.details.isHosting = response.data.hosting;
-                    analysis.checks.vpn = true;
-
-                    if ((response.data.proxy || response.data.hosting) && 
-                        process.env.BLOCK_VPN_TOR === 'true') {
-                        analysis.riskScore += 60;
-                        analysis.details.vpnBlocked = true;
-                    }
-                }
-            }
-        } catch (error) {
-            logger.warn('VPN check failed:', error.message);
-        }
+    /**
+     * Store the detectors that just ran. Their TTL is cache.ttl.blocked
+     * when set and the request was blocked, otherwise the detector's own
+     * cache.ttl entry (ipAnalysis by default).
+     */
+    async cacheIntel({ key, entry, ran }, blocked, settings) {
+        const stored = ran.filter(({ error }) => !error);
+        if (stored.length === 0) return;
+
+        const { ttl, staleWhileRevalidate } = settings.cache;
+        const now = Date.now();
+        const ttlOf = new Map(detectors.active(settings).map(({ detector, cacheTtl }) => [
+            detector.name,
+            (blocked && ttl.blocked) || ttl[cacheTtl] || ttl.ipAnalysis
+        ]));
+
+        stored.forEach(({ name, result }) => {
+            entry.results[name] = { result, expiresAt: now + ttlOf.get(name) * 1000 };
+        });
+
+        // Girdi en uzun ömürlü sonuç ve stale penceresi kadar yaşar
+        const maxExpiry = Math.max(...Object.values(entry.results).map(({ expiresAt }) => expiresAt));
+        await cacheService.set(key, entry, Math.ceil((maxExpiry - now) / 1000) + staleWhileRevalidate);
     }
 
-    analyzeUserAgent(userAgent, analysis) {
-        try {
-            const parser = new UAParser(userAgent);
-            const result = parser.getResult();
-            
-            analysis.details.browser = result.browser;
-            analysis.details.os = result.os;
-            analysis.details.device = result.device;
-            analysis.checks.userAgent = true;
-
-            // Şüpheli User Agent kontrolleri
-            if (!userAgent || userAgent.length < 10) {
-                analysis.riskScore += 20;
-                analysis.details.suspiciousUA = 'Empty or too short';
+    /**
+     * Per-request decisions on top of the IP analysis: rate limit, custom
+     * rules (path, method, headers), challenge, then monitor mode. Every
+     * entry point (/verify, /auth, /api/analyze) goes through here.
+     * @param {{ userAgent?: string, path?: string, method?: string, headers?: Object, clearance?: string }} request
+     */
+    decide(analysis, request, settings = config.get()) {
+        let result = this.applyRateLimit(analysis, request, settings);
+        result = this.applyRules(result, request, settings);
+        result = this.applyChallenge(result, request, settings);
+        return this.applyMonitorMode(result, settings);
+    }
+
+    /**
+     * Apply the custom rules for one request. The (cached) IP analysis is
+     * not modified; a copy with the rule outcome under `rules` is returned.
+     * When monitor-only rules match, `shadow` holds the verdict the
+     * candidate policy (all rules enforced) would have produced.
+     * @param {{ userAgent?: string, path?: string, method?: string, headers?: Object }} request
+     */
+    applyRules(analysis, request, settings = config.get()) {
+        // Manuel liste kararları kuralların üstündedir
+        if (analysis.checks?.accessList) return analysis;
+
+        const result = this.applyRuleOutcome(analysis, ruleEngine.evaluate(analysis, request, settings), settings);
+        if (!ruleEngine.hasMonitored(settings)) return result;
+
+        const outcome = ruleEngine.evaluate(analysis, request, settings, { shadow: true });
+        if (outcome.monitored.length === 0) return result;
+
+        const candidate = this.applyRuleOutcome(analysis, outcome, settings);
+        return {
+            ...result,
+            shadow: { ...this.describeVerdict(candidate), source: 'rules', rules: outcome.monitored }
+        };
+    }
+
+    applyRuleOutcome(analysis, outcome, settings) {
+        if (outcome.matched.length === 0) return analysis;
+
+        const { decision } = outcome;
+        const result = {
+            ...this.addSignals(analysis, outcome.signals, settings),
+            rules: {
+                matched: outcome.matched,
+                tags: outcome.tags,
+                decision: decision ? { id: decision.id, action: decision.action } : null
             }
+        };
 
-            // Bot tespit
-            const botPatterns = [
-                /bot/i, /crawler/i, /spider/i, /scraper/i, 
-                /curl/i, /wget/i, /python/i, /java/i
-            ];
-            
-            if (botPatterns.some(pattern => pattern.test(userAgent))) {
-                analysis.riskScore += 15;
-                analysis.details.possibleBot = true;
+        if (decision) {
+            result.isBlocked = decision.action === 'block';
+            result.reason = decision.action === 'allow' ? null : decision.reason;
+            if (decision.action === 'challenge') {
+                result.challenge = true;
             }
+        }
 
-        } catch (error) {
-            logger.warn('User Agent analysis failed:', error.message);
+        return result;
+    }
+
+    /**
+     * Rate limit the request (security.rateLimit). In block mode an
+     * exhausted limiter blocks with RATE_LIMITED, in score mode it adds
+     * its points to the risk score. `rateLimit.retryAfter` is in seconds.
+     * @param {{ headers?: Object }} request
+     */
+    applyRateLimit(analysis, request, settings = config.get()) {
+        const { rateLimit } = settings.security;
+
+        // Allowlist'teki istemciler sınırlanmaz, denylist zaten engelli
+        if (!rateLimit.enabled || analysis.checks?.accessList) return analysis;
+
+        const limited = rateLimitService.consume({
+            ip: analysis.ip,
+            asn: analysis.details?.asn,
+            apiKey: request.headers?.[rateLimit.apiKeyHeader.toLowerCase()]
+        }, settings);
+        if (!limited) return analysis;
+
+        // Sayılan değer (IP, API key özeti) sinyale yazılmaz
+        const { value, ...evidence } = limited;
+        return this.applyRateLimited(analysis, evidence, settings);
+    }
+
+    /**
+     * Apply an exhausted limiter ({ key, windowMs, maxRequests, retryAfter })
+     * to the analysis according to rateLimit.action.
+     */
+    applyRateLimited(analysis, evidence, settings) {
+        const { rateLimit } = settings.security;
+        const result = {
+            ...this.addSignals(analysis, [{
+                signal: 'RATE_LIMITED',
+                points: rateLimit.points,
+                source: 'rateLimit',
+                evidence
+            }], settings),
+            rateLimit: { key: evidence.key, retryAfter: evidence.retryAfter }
+        };
+
+        if (rateLimit.action === 'block') {
+            result.isBlocked = true;
+            result.reason = 'RATE_LIMITED';
+            // Eşikten bağımsız karar, sonraki score kuralları bozmasın
+            result.threshold = null;
         }
+
+        return result;
     }
 
-    async checkIPReputation(ip, analysis) {
-        try {
-            const response = await axios.get(
-                `https://api.abuseipdb.com/api/v2/check?ipAddress=${ip}&maxAgeInDays=90`,
-                {
-                    headers: {
-                        'Key': process.env.ABUSEIPDB_KEY,
-                        'Accept': 'application/json'
-                    },
-                    timeout: 5000
-                }
-            );
-
-            if (response.data && response.data.data) {
-                const { abuseConfidencePercentage, isWhitelisted, countryCode } = response.data.data;
-                
-                analysis.details.abuseConfidence = abuseConfidencePercentage;
-                analysis.details.isWhitelisted = isWhitelisted;
-                analysis.checks.reputation = true;
-
-                if (abuseConfidencePercentage > 25) {
-                    analysis.riskScore += Math.min(abuseConfidencePercentage, 50);
-                    analysis.details.badReputation = true;
+    /**
+     * Copy of the analysis with extra signals added to the score. A
+     * threshold decision is taken again with the new score; list, geo,
+     * rate limit and error decisions stay as they are.
+     */
+    addSignals(analysis, signals, settings) {
+        const result = {
+            ...analysis,
+            signals: [...analysis.signals, ...signals].sort((a, b) => b.points - a.points),
+            details: { ...analysis.details }
+        };
+        if (signals.length === 0) return result;
+
+        result.riskScore = analysis.riskScore + signals.reduce((sum, signal) => sum + signal.points, 0);
+        this.calculateRiskScore(result, settings);
+
+        if (analysis.threshold) {
+            result.isBlocked = false;
+            result.reason = null;
+            this.makeBlockDecision(result, settings);
+        }
+
+        return result;
+    }
+
+    /**
+     * Proof-of-work challenge for the MEDIUM risk band (challenge.enabled)
+     * and for challenge rules. A valid clearance cookie lets the request
+     * through instead.
+     * @param {{ userAgent?: string, clearance?: string }} request
+     */
+    applyChallenge(analysis, request, settings = config.get()) {
+        const medium = settings.challenge.enabled &&
+            !analysis.isBlocked &&
+            analysis.details?.riskLevel === 'MEDIUM' &&
+            !analysis.checks?.accessList &&
+            analysis.rules?.decision?.action !== 'allow';
+        if (!analysis.challenge && !medium) return analysis;
+
+        const clearance = request.clearance &&
+            challengeService.checkClearance(request.clearance, analysis.ip, request.userAgent, settings);
+        if (clearance) {
+            const { challenge, ...cleared } = analysis;
+            return {
+                ...cleared,
+                isBlocked: false,
+                reason: null,
+                clearance: { expiresAt: new Date(clearance.exp).toISOString() }
+            };
+        }
+
+        return { ...analysis, challenge: true, reason: analysis.reason || 'CHALLENGE_REQUIRED' };
+    }
+
+    /**
+     * Monitor mode (security.monitorMode) enforces nothing: a block or
+     * challenge is moved to `shadow` and the request is allowed.
+     */
+    applyMonitorMode(analysis, settings = config.get()) {
+        if (!settings.security.monitorMode || !(analysis.isBlocked || analysis.challenge)) {
+            return analysis;
+        }
+
+        const { challenge, ...allowed } = analysis;
+        return {
+            ...allowed,
+            isBlocked: false,
+            reason: null,
+            // Monitor kuralları eşleştiyse shadow zaten tüm kurallar uygulanmış hali
+            shadow: analysis.shadow || { ...this.describeVerdict(analysis), source: 'monitorMode' }
+        };
+    }
+
+    describeVerdict(analysis) {
+        return {
+            isBlocked: analysis.isBlocked,
+            challenge: analysis.challenge === true,
+            reason: analysis.reason,
+            riskScore: analysis.riskScore
+        };
+    }
+
+    checkAccessLists(ip) {
+        const entry = accessListService.check(ip);
+        if (!entry) return null;
+
+        const denied = entry.list === 'deny';
+        const signal = `${entry.type.toUpperCase()}_${denied ? 'BLOCKLISTED' : 'ALLOWLISTED'}`;
+
+        return {
+            ip,
+            isBlocked: denied,
+            reason: denied ? signal : null,
+            riskScore: denied ? 100 : 0,
+            // Liste kararı eşikten bağımsızdır
+            signals: [{
+                signal,
+                points: denied ? 100 : 0,
+                source: 'accessList',
+                evidence: { id: entry.id, value: entry.value, reason: entry.reason, source: entry.source }
+            }],
+            threshold: null,
+            details: {
+                riskLevel: denied ? 'HIGH' : 'LOW',
+                accessList: {
+                    id: entry.id,
+                    list: entry.list,
+                    type: entry.type,
+                    value: entry.value,
+                    reason: entry.reason,
+                    note: entry.note,
+                    expiresAt: entry.expiresAt,
+                    source: entry.source
                 }
+            },
+            checks: {
+                accessList: true
             }
-        } catch (error) {
-            logger.warn('IP reputation check failed:', error.message);
+        };
+    }
+
+    checkGeoPolicy(ip, analysis, settings) {
+        const geo = geoip.lookup(ip);
+        const blocked = geoPolicyService.check(geo, settings);
+        if (!blocked) return false;
+
+        analysis.isBlocked = true;
+        analysis.reason = 'GEO_BLOCKED';
+        analysis.riskScore = 100;
+        analysis.signals = [{
+            signal: 'GEO_BLOCKED',
+            points: 100,
+            source: 'geoPolicy',
+            evidence: { ...blocked, country: geo?.country, region: geo?.region, city: geo?.city }
+        }];
+        analysis.details = {
+            country: geo?.country,
+            region: geo?.region,
+            city: geo?.city,
+            riskLevel: 'HIGH',
+            geoBlocked: true,
+            geoPolicy: blocked
+        };
+        analysis.checks.geoPolicy = true;
+        return true;
+    }
+
+    /**
+     * Merge one detector's output into the analysis. Contributed points are
+     * scaled by the detector weight and kept as signals so the score can be
+     * explained.
+     */
+    applyDetectorResult(analysis, { name, weight, result, error }) {
+        analysis.checks[name] = result !== null;
+
+        if (error) {
+            analysis.details.detectorErrors = {
+                ...analysis.details.detectorErrors,
+                [name]: error.message
+            };
+            return;
         }
+        if (!result) return;
+
+        Object.assign(analysis.details, result.details);
+        (result.contributions || []).forEach(contribution => {
+            const points = Math.round(contribution.points * weight);
+            analysis.riskScore += points;
+            analysis.signals.push({
+                signal: contribution.signal,
+                points,
+                source: name,
+                evidence: contribution.evidence || {}
+            });
+        });
     }
 
-    calculateRiskScore(analysis) {
-        // Risk skoru 0-100 arası
-        analysis.riskScore = Math.min(analysis.riskScore, 100);
+    calculateRiskScore(analysis, settings) {
+        const { strict, standard } = settings.security.thresholds;
+
+        // Risk skoru 0-100 arası (negatif geo puanları skoru 0'ın altına indiremez)
+        analysis.riskScore = Math.max(0, Math.min(analysis.riskScore, 100));
         
-        if (analysis.riskScore >= 70) {
+        if (analysis.riskScore >= standard) {
             analysis.details.riskLevel = 'HIGH';
-        } else if (analysis.riskScore >= 40) {
+        } else if (analysis.riskScore >= strict) {
             analysis.details.riskLevel = 'MEDIUM';
         } else {
             analysis.details.riskLevel = 'LOW';
         }
     }
 
-    makeBlockDecision(analysis) {
-        const strictMode = process.env.STRICT_MODE === 'true';
-        const threshold = strictMode ? 40 : 70;
+    makeBlockDecision(analysis, settings) {
+        const { strictMode, thresholds } = settings.security;
+        const threshold = strictMode ? thresholds.strict : thresholds.standard;
+
+        analysis.threshold = {
+            mode: strictMode ? 'strict' : 'standard',
+            value: threshold
+        };
 
         if (analysis.riskScore >= threshold) {
             analysis.isBlocked = true;
-            
-            if (analysis.details.isTor) {
-                analysis.reason = 'TOR_EXIT_NODE';
-            } else if (analysis.details.vpnBlocked) {
-                analysis.reason = 'VPN_PROXY_DETECTED';
-            } else if (analysis.details.badReputation) {
-                analysis.reason = 'BAD_IP_REPUTATION';
-            } else {
-                analysis.reason = 'HIGH_RISK_SCORE';
-            }
-        }
-    }
 
-    async loadVPNRanges() {
-        // VPN/Proxy IP aralıklarını yükle (ücretsiz kaynaklardan)
-        try {
-            const response = await axios.get(
-                'https://raw.githubusercontent.com/X4BNet/lists_vpn/main/ipv4.txt',
-                { timeout: 10000 }
-            );
-            
-            if (response.data) {
-                const ranges = response.data.split('\n').filter(line => line.trim());
-                ranges.forEach(range => this.vpnRanges.add(range.trim()));
-                logger.info(`Loaded ${ranges.length} VPN IP ranges`);
-            }
-        } catch (error) {
-            logger.warn('Could not load VPN ranges from external source');
+            // Sebep, skora en çok katkı yapan sinyaldir (sinyaller puana göre sıralı)
+            const top = analysis.signals[0];
+            analysis.reason = top && top.points > 0 ? top.signal : 'HIGH_RISK_SCORE';
         }
     }
 }
@@ -0,0 +1,147 @@
+const fs = require('fs');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+/**
+ * File-backed threat list (Tor exit nodes, VPN ranges).
+ * Reads the path from config.dataSources, watches it for changes and only
+ * goes to the network when dataSources.networkFallback is enabled.
+ */
+class ListProvider {
+    /**
+     * @param {Object} options
+     * @param {string} options.name - Label used in logs and stats
+     * @param {string} options.pathKey - Key under config.dataSources (e.g. 'torNodes')
+     * @param {Function} options.fetchRemote - async () => string[] network loader
+     * @param {Function} options.parse - (lines, origin) => { data, count }
+     */
+    constructor({ name, pathKey, fetchRemote, parse }) {
+        this.name = name;
+        this.pathKey = pathKey;
+        this.fetchRemote = fetchRemote;
+        this.parse = parse;
+        this.watchedPath = null;
+        this.status = {
+            source: null,
+            path: null,
+            entries: 0,
+            loadedAt: null,
+            modifiedAt: null,
+            error: null
+        };
+    }
+
+    splitLines(text) {
+        return text
+            .split('\n')
+            .map(line => line.trim())
+            .filter(line => line && !line.startsWith('#'));
+    }
+
+    async readFile(filePath) {
+        const [content, stats] = await Promise.all([
+            fs.promises.readFile(filePath, 'utf8'),
+            fs.promises.stat(filePath)
+        ]);
+
+        return {
+            ...this.parse(this.splitLines(content), filePath),
+            source: 'file',
+            path: filePath,
+            modifiedAt: stats.mtime.toISOString()
+        };
+    }
+
+    /**
+     * Load the list without activating it. Throws when neither the file nor
+     * (if allowed) the network produced a list.
+     */
+    async load(settings = config.get()) {
+        const filePath = settings.dataSources[this.pathKey];
+
+        try {
+            return await this.readFile(filePath);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw new Error(`Could not read ${this.name} list ${filePath}: ${error.message}`);
+            }
+        }
+
+        if (!settings.dataSources.networkFallback) {
+            throw new Error(`${this.name} list not found at ${filePath} and network fallback is disabled`);
+        }
+
+        logger.info(`${this.name} list not found at ${filePath}, falling back to network`);
+        const lines = await this.fetchRemote();
+
+        return {
+            ...this.parse(lines, 'network'),
+            source: 'network',
+            path: null,
+            modifiedAt: null
+        };
+    }
+
+    record(result) {
+        this.status = {
+            source: result.source,
+            path: result.path,
+            entries: result.count,
+            loadedAt: new Date().toISOString(),
+            modifiedAt: result.modifiedAt,
+            error: null
+        };
+    }
+
+    recordError(error) {
+        this.status = { ...this.status, error: error.message };
+    }
+
+    /**
+     * Poll the configured file and call onChange with a freshly parsed list.
+     * watchFile (instead of fs.watch) survives the file being replaced by
+     * `curl -o` and files that do not exist yet.
+     */
+    watch(onChange, settings = config.get()) {
+        const filePath = settings.dataSources[this.pathKey];
+        if (this.watchedPath === filePath) return;
+
+        this.unwatch();
+        this.watchedPath = filePath;
+
+        fs.watchFile(filePath, { interval: 5000, persistent: false }, async (current, previous) => {
+            if (current.mtimeMs === previous.mtimeMs || current.size === 0) return;
+
+            try {
+                const result = await this.readFile(filePath);
+                onChange(result);
+                logger.info(`${this.name} list reloaded from ${filePath}: ${result.count} entries`);
+            } catch (error) {
+                this.recordError(error);
+                logger.warn(`Could not reload ${this.name} list from ${filePath}:`, error.message);
+            }
+        });
+    }
+
+    unwatch() {
+        if (this.watchedPath) {
+            fs.unwatchFile(this.watchedPath);
+            this.watchedPath = null;
+        }
+    }
+
+    getStatus(maxAgeMinutes) {
+        const reference = this.status.modifiedAt || this.status.loadedAt;
+        const ageMinutes = reference
+            ? Math.round((Date.now() - new Date(reference).getTime()) / 60000)
+            : null;
+
+        return {
+            ...this.status,
+            ageMinutes,
+            stale: ageMinutes === null || (maxAgeMinutes !== undefined && ageMinutes > maxAgeMinutes)
+        };
+    }
+}
+
+module.exports = ListProvider;
@@ -41,7 +41,12 @@ class LogService {
                 analysis: requestData.analysis,
                 blocked: requestData.analysis.isBlocked,
                 riskScore: requestData.analysis.riskScore,
-                reason: requestData.analysis.reason
+                reason: requestData.analysis.reason,
+                signals: requestData.analysis.signals || [],
+                threshold: requestData.analysis.threshold || null,
+                // Monitor modunda (veya monitor kurallarıyla) engellenecek olan istekler
+                wouldBlock: this.wouldBlock(requestData.analysis),
+                shadow: requestData.analysis.shadow || null
             };
 
             // Memory'ye ekle
@@ -54,7 +59,14 @@ class LogService {
 
             // Bloklanmış istekleri ayrı logla
             if (logEntry.blocked) {
-                logger.warn(`BLOCKED REQUEST: ${logEntry.ip} - ${logEntry.reason} (Risk: ${logEntry.riskScore})`);
+                const signals = logEntry.signals
+                    .map(signal => `${signal.signal} ${signal.points >= 0 ? '+' : ''}${signal.points}`)
+                    .join(', ');
+                logger.warn(`BLOCKED REQUEST: ${logEntry.ip} - ${logEntry.reason} (Risk: ${logEntry.riskScore}${signals ? `; ${signals}` : ''})`);
+            } else if (logEntry.wouldBlock) {
+                const { shadow } = logEntry;
+                const rules = shadow.rules ? `; rules: ${shadow.rules.join(', ')}` : '';
+                logger.info(`WOULD BLOCK (${shadow.source}): ${logEntry.ip} - ${shadow.reason} (Risk: ${shadow.riskScore}${rules})`);
             }
 
         } catch (error) {
@@ -62,6 +74,15 @@ class LogService {
         }
     }
 
+    /**
+     * True when the request was allowed but the shadow verdict (monitor
+     * mode or monitor-only rules) would have blocked or challenged it.
+     */
+    wouldBlock(analysis) {
+        const { shadow } = analysis;
+        return Boolean(shadow && (shadow.isBlocked || shadow.challenge) && !analysis.isBlocked && !analysis.challenge);
+    }
+
     async flushLogsToDisk() {
         if (this.requestLogs.length === 0) return;
 
@@ -96,6 +117,40 @@ class LogService {
         }
     }
 
+    /**
+     * Logs with a timestamp between from and to (daily files plus the
+     * unflushed ones in memory), oldest first. Only the newest `limit`
+     * entries are kept.
+     */
+    async getLogsBetween(from, to, limit = 10000) {
+        const firstDay = new Date(from.toISOString().split('T')[0]);
+        // Günler eskiden yeniye okunur; her adımda sadece en yeni `limit` kayıt tutulur
+        const newest = (entries) => entries
+            .filter(log => {
+                const timestamp = new Date(log.timestamp);
+                return timestamp >= from && timestamp <= to;
+            })
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+            .slice(-limit);
+
+        let logs = [];
+        for (let day = firstDay; day <= to; day = new Date(day.getTime() + 86400000)) {
+            const logFile = path.join(this.logDir, `requests-${day.toISOString().split('T')[0]}.json`);
+
+            try {
+                // Büyük dosyalarda spread yığın taşırır, concat kullanılır
+                const content = JSON.parse(await fs.promises.readFile(logFile, 'utf8'));
+                logs = newest(logs.concat(newest(content)));
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    logger.warn(`Could not read log file ${logFile}: ${error.message}`);
+                }
+            }
+        }
+
+        return newest(logs.concat(this.requestLogs));
+    }
+
     async getRecentLogs(limit = 100) {
         try {
             // Memory'deki logs + disk'teki son logs
@@ -137,12 +192,15 @@ class LogService {
                 totalRequests: recentLogs.length,
                 blockedRequests: recentLogs.filter(log => log.blocked).length,
                 allowedRequests: recentLogs.filter(log => !log.blocked).length,
+                wouldBlockRequests: recentLogs.filter(log => log.wouldBlock).length,
                 avgRiskScore: 0,
                 topBlockReasons: {},
+                topWouldBlockReasons: {},
                 topCountries: {},
                 lastHour: {
                     total: 0,
-                    blocked: 0
+                    blocked: 0,
+                    wouldBlock: 0
                 }
             };
 
@@ -155,6 +213,10 @@ class LogService {
                     stats.topBlockReasons[log.reason] = (stats.topBlockReasons[log.reason] || 0) + 1;
                 });
 
+                recentLogs.filter(log => log.wouldBlock).forEach(log => {
+                    stats.topWouldBlockReasons[log.shadow.reason] = (stats.topWouldBlockReasons[log.shadow.reason] || 0) + 1;
+                });
+
                 // Top countries
                 recentLogs.forEach(log => {
                     const country = log.analysis?.details?.country || 'Unknown';
@@ -166,6 +228,7 @@ class LogService {
                 const lastHourLogs = recentLogs.filter(log => new Date(log.timestamp) > oneHourAgo);
                 stats.lastHour.total = lastHourLogs.length;
                 stats.lastHour.blocked = lastHourLogs.filter(log => log.blocked).length;
+                stats.lastHour.wouldBlock = lastHourLogs.filter(log => log.wouldBlock).length;
             }
 
             return stats;
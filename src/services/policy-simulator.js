@@ -0,0 +1,223 @@
+const ipAnalyzer = require('./ip-analyzer');
+const logService = require('./log-service');
+const detectors = require('../detectors');
+const config = require('../config');
+
+const DEFAULT_LIMIT = 10000;
+const DEFAULT_SAMPLES = 5;
+const TOP_COUNT = 10;
+
+// Bu kaynakların sinyalleri tekrar sırasında yeniden üretilir
+const REPLAYED_SOURCES = ['accessList', 'geoPolicy', 'rule', 'rateLimit'];
+
+/**
+ * What-if simulator: replays stored request logs against the live and a
+ * candidate configuration and reports the decisions that change.
+ *
+ * Detector results come from the logs (no new lookups). Detector weights
+ * and enabled flags, thresholds, strict mode, geo policy, rules and monitor
+ * mode are applied again; allow/deny list decisions and rate limit hits
+ * are kept as logged. Geo-blocked requests ran no detectors, so when a
+ * config no longer geo-blocks them they are counted as not replayable
+ * instead of being reported as allowed.
+ */
+class PolicySimulator {
+    /**
+     * @param {{ from: Date, to: Date, overrides?: Object, limit?: number, samples?: number }} options
+     *   overrides: partial config (e.g. { security: { strictMode: true }, rules: [...] })
+     * @returns {Promise<{ report: Object|null, errors: string[] }>}
+     */
+    async run({ from, to, overrides = {}, limit = DEFAULT_LIMIT, samples = DEFAULT_SAMPLES }) {
+        const { config: candidate, errors } = config.derive(overrides);
+        if (errors.length > 0) {
+            return { report: null, errors };
+        }
+
+        const entries = await logService.getLogsBetween(from, to, limit);
+        const report = this.simulate(entries, candidate, { samples });
+
+        return {
+            report: { window: { from: from.toISOString(), to: to.toISOString() }, ...report },
+            errors: []
+        };
+    }
+
+    simulate(entries, candidate, { samples = DEFAULT_SAMPLES } = {}) {
+        const live = config.get();
+        const weights = {
+            live: this.detectorWeights(live),
+            candidate: this.detectorWeights(candidate)
+        };
+
+        const report = {
+            total: entries.length,
+            baseline: { allow: 0, block: 0, challenge: 0 },
+            candidate: { allow: 0, block: 0, challenge: 0 },
+            flipped: 0,
+            notReplayable: 0,
+            flips: {},
+            affected: { ips: {}, countries: {}, reasons: {} },
+            samples: {}
+        };
+
+        entries.forEach(entry => {
+            const before = this.replay(entry, live, weights.live, weights.live);
+            const after = this.replay(entry, candidate, weights.candidate, weights.live);
+            if (!before || !after) {
+                report.notReplayable++;
+                return;
+            }
+
+            const change = { from: this.verdict(before), to: this.verdict(after) };
+
+            report.baseline[change.from]++;
+            report.candidate[change.to]++;
+            if (change.from === change.to) return;
+
+            const key = `${change.from}->${change.to}`;
+            const country = after.details?.country || before.details?.country || 'Unknown';
+            // Engellenen tarafın sebebi (allow->block ise yeni, block->allow ise eski)
+            const reason = after.reason || before.reason || 'UNKNOWN';
+
+            report.flipped++;
+            report.flips[key] = (report.flips[key] || 0) + 1;
+            report.affected.ips[entry.ip] = (report.affected.ips[entry.ip] || 0) + 1;
+            report.affected.countries[country] = (report.affected.countries[country] || 0) + 1;
+            report.affected.reasons[reason] = (report.affected.reasons[reason] || 0) + 1;
+
+            report.samples[key] = report.samples[key] || [];
+            if (report.samples[key].length < samples) {
+                report.samples[key].push({
+                    timestamp: entry.timestamp,
+                    requestId: entry.requestId,
+                    ip: entry.ip,
+                    country,
+                    method: entry.method,
+                    url: entry.url,
+                    userAgent: entry.userAgent,
+                    before: this.summarize(before),
+                    after: this.summarize(after)
+                });
+            }
+        });
+
+        report.affected = {
+            ips: this.top(report.affected.ips),
+            countries: this.top(report.affected.countries),
+            reasons: this.top(report.affected.reasons)
+        };
+
+        return report;
+    }
+
+    /**
+     * Rebuild the decision for one logged request under the given settings.
+     * Detector points are rescaled by the weight change against the live
+     * configuration (the weights the log was scored with). Returns null
+     * when the log has too little to decide (see geoBlocked).
+     */
+    replay(entry, settings, weights, liveWeights) {
+        const logged = entry.analysis || {};
+
+        // Liste kararları çalışma zamanı verisidir; hatalı analizde sinyal yok
+        if (logged.checks?.accessList || logged.reason === 'ANALYSIS_ERROR') {
+            return ipAnalyzer.applyMonitorMode(this.restoreVerdict(logged), settings);
+        }
+
+        const analysis = {
+            ip: entry.ip,
+            isBlocked: false,
+            reason: null,
+            riskScore: 0,
+            signals: [],
+            threshold: null,
+            details: { ...logged.details },
+            checks: { ...logged.checks }
+        };
+
+        if (!ipAnalyzer.checkGeoPolicy(entry.ip, analysis, settings)) {
+            // Geo bloğunda dedektörler çalışmadı, skor bilinmiyor
+            if (this.geoBlocked(logged)) return null;
+
+            (logged.signals || [])
+                .filter(signal => !REPLAYED_SOURCES.includes(signal.source) && weights.has(signal.source))
+                .forEach(signal => {
+                    const liveWeight = liveWeights.get(signal.source);
+                    const points = liveWeight
+                        ? Math.round(signal.points * weights.get(signal.source) / liveWeight)
+                        : signal.points;
+
+                    analysis.riskScore += points;
+                    analysis.signals.push({ ...signal, points });
+                });
+
+            analysis.signals.sort((a, b) => b.points - a.points);
+            this.rescore(analysis, settings);
+        }
+
+        // Kova durumu tekrar edilemez, loglanan rate limit sonucu kullanılır
+        const limited = (logged.signals || []).find(signal => signal.source === 'rateLimit');
+        const withRateLimit = limited && settings.security.rateLimit.enabled
+            ? ipAnalyzer.applyRateLimited(analysis, limited.evidence, settings)
+            : analysis;
+
+        const withRules = ipAnalyzer.applyRules(withRateLimit, {
+            userAgent: entry.userAgent || '',
+            path: String(entry.url || '/').split('?')[0],
+            method: entry.method,
+            // Loglarda header tutulmaz, sadece User-Agent bilinir
+            headers: entry.userAgent ? { 'user-agent': entry.userAgent } : {},
+            now: new Date(entry.timestamp)
+        }, settings);
+
+        // Clearance cookie'leri tekrar edilemez, MEDIUM bant challenge olarak sayılır
+        const withChallenge = ipAnalyzer.applyChallenge(withRules, {}, settings);
+
+        return ipAnalyzer.applyMonitorMode(withChallenge, settings);
+    }
+
+    geoBlocked(analysis) {
+        return (analysis.signals || []).some(signal => signal.source === 'geoPolicy');
+    }
+
+    rescore(analysis, settings) {
+        ipAnalyzer.calculateRiskScore(analysis, settings);
+        ipAnalyzer.makeBlockDecision(analysis, settings);
+    }
+
+    // Monitor modunda loglanan gerçek karar shadow'dadır
+    restoreVerdict(analysis) {
+        const { shadow, ...rest } = analysis;
+        if (shadow?.source !== 'monitorMode') return rest;
+
+        return { ...rest, isBlocked: shadow.isBlocked, challenge: shadow.challenge, reason: shadow.reason, riskScore: shadow.riskScore };
+    }
+
+    detectorWeights(settings) {
+        return new Map(detectors.active(settings).map(({ detector, weight }) => [detector.name, weight]));
+    }
+
+    verdict(analysis) {
+        if (analysis.isBlocked) return 'block';
+        return analysis.challenge ? 'challenge' : 'allow';
+    }
+
+    summarize(analysis) {
+        return {
+            verdict: this.verdict(analysis),
+            reason: analysis.reason,
+            riskScore: analysis.riskScore,
+            rules: analysis.rules?.matched || [],
+            shadow: analysis.shadow || null
+        };
+    }
+
+    top(counts) {
+        return Object.entries(counts)
+            .sort(([, a], [, b]) => b - a)
+            .slice(0, TOP_COUNT)
+            .map(([value, count]) => ({ value, count }));
+    }
+}
+
+module.exports = new PolicySimulator();
@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const { subnetKey } = require('../utils/ip-utils');
+
+// Bellek sınırı: en uzun süredir kullanılmayan kovalar atılır
+const MAX_BUCKETS = 100000;
+const CLEANUP_INTERVAL = 60000;
+
+/**
+ * Token bucket rate limiting (security.rateLimit). Each limiter refills
+ * at maxRequests per windowMs and holds up to burst tokens (maxRequests
+ * by default); a request takes one token from every limiter it falls
+ * under.
+ */
+class RateLimitService {
+    constructor() {
+        this.buckets = new Map();
+        this.cleanupTimer = null;
+    }
+
+    initialize() {
+        this.cleanupTimer = setInterval(() => this.cleanup(), CLEANUP_INTERVAL);
+        this.cleanupTimer.unref();
+    }
+
+    /**
+     * The main limiter plus the extra ones under rateLimit.limits.
+     */
+    limiters(settings) {
+        const { rateLimit } = settings.security;
+        return [
+            { key: rateLimit.key, windowMs: rateLimit.windowMs, maxRequests: rateLimit.maxRequests, burst: rateLimit.burst },
+            ...rateLimit.limits
+        ];
+    }
+
+    /**
+     * Value the limiter counts by, or null when the request has none
+     * (unknown ASN, no API key).
+     */
+    keyFor(limiter, { ip, asn, apiKey }) {
+        switch (limiter.key) {
+            case 'ip':
+                return ip;
+            case 'subnet':
+                // IPv4 /24, IPv6 /64
+                return subnetKey(ip, 64, 24);
+            case 'asn':
+                return asn || null;
+            case 'apiKey':
+                // Anahtarın kendisi log ve bellekte tutulmaz
+                return apiKey ? crypto.createHash('sha256').update(String(apiKey)).digest('hex').slice(0, 16) : null;
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Take a token from every limiter that applies. Returns the exhausted
+     * limiter with the longest wait as { key, value, windowMs, maxRequests,
+     * retryAfter } (seconds), or null when the request is within limits.
+     * @param {{ ip: string, asn?: string, apiKey?: string }} client
+     */
+    consume(client, settings, now = Date.now()) {
+        let limited = null;
+
+        this.limiters(settings).forEach(limiter => {
+            const value = this.keyFor(limiter, client);
+            if (value === null) return;
+
+            const retryAfter = this.take(`${limiter.key}|${limiter.windowMs}|${limiter.maxRequests}|${value}`, limiter, now);
+            if (retryAfter > 0 && (!limited || retryAfter > limited.retryAfter)) {
+                limited = {
+                    key: limiter.key,
+                    value,
+                    windowMs: limiter.windowMs,
+                    maxRequests: limiter.maxRequests,
+                    retryAfter
+                };
+            }
+        });
+
+        return limited;
+    }
+
+    /**
+     * Returns 0 when a token was taken, otherwise the seconds until one
+     * is available.
+     */
+    take(bucketKey, limiter, now) {
+        const rate = limiter.maxRequests / limiter.windowMs;
+        const capacity = limiter.burst || limiter.maxRequests;
+        let bucket = this.buckets.get(bucketKey);
+
+        if (bucket) {
+            // Kullanılan kova sona taşınır (LRU); yeni IP seli aktif kovaları silemez
+            this.buckets.delete(bucketKey);
+        } else {
+            if (this.buckets.size >= MAX_BUCKETS) {
+                this.buckets.delete(this.buckets.keys().next().value);
+            }
+            bucket = { tokens: capacity, updatedAt: now, rate, capacity };
+        }
+        this.buckets.set(bucketKey, bucket);
+
+        bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * rate);
+        bucket.updatedAt = now;
+
+        if (bucket.tokens >= 1) {
+            bucket.tokens -= 1;
+            return 0;
+        }
+
+        return Math.max(1, Math.ceil((1 - bucket.tokens) / rate / 1000));
+    }
+
+    // Tamamen dolmuş kovalar varsayılanla aynıdır, silinebilir
+    cleanup(now = Date.now()) {
+        for (const [key, bucket] of this.buckets) {
+            if (bucket.tokens + (now - bucket.updatedAt) * bucket.rate >= bucket.capacity) {
+                this.buckets.delete(key);
+            }
+        }
+    }
+
+    clear() {
+        this.buckets.clear();
+    }
+
+    getStats() {
+        return { buckets: this.buckets.size };
+    }
+}
+
+module.exports = new RateLimitService();
@@ -0,0 +1,96 @@
+const config = require('../config');
+const torService = require('./tor-service');
+const vpnService = require('./vpn-service');
+const asnService = require('./asn-service');
+const cacheService = require('./cache-service');
+const accessListService = require('./access-list-service');
+const logger = require('../utils/logger');
+
+class ReloadService {
+    constructor() {
+        this.pending = null;
+        this.lastReload = null;
+        this.lastError = null;
+    }
+
+    /**
+     * Reload configuration and threat lists. Concurrent triggers (SIGHUP +
+     * admin endpoint) share the reload that is already running.
+     */
+    reload(trigger = 'manual') {
+        if (!this.pending) {
+            this.pending = this.performReload(trigger).finally(() => {
+                this.pending = null;
+            });
+        }
+        return this.pending;
+    }
+
+    async performReload(trigger) {
+        const startedAt = Date.now();
+        logger.info(`Reloading Guardian configuration (trigger: ${trigger})...`);
+
+        try {
+            // 1. Her şeyi yan tarafta hazırla - aktif durum değişmez
+            const built = config.build();
+            const [torNodes, vpnRanges, asnDatabase] = await Promise.all([
+                torService.fetchExitNodes(built.config),
+                vpnService.fetchRanges(built.config),
+                asnService.openDatabase(built.config.dataSources.asnDatabase)
+            ]);
+
+            // 2. Tek senkron blokta değiştir - arada await yok, yarım durum görülmez
+            config.apply(built);
+            if (torNodes) {
+                torService.applyExitNodes(torNodes);
+            }
+            if (vpnRanges) {
+                vpnService.applyRanges(vpnRanges);
+            }
+            asnService.applyDatabase(asnDatabase);
+            accessListService.rebuild(built.config);
+            logger.level = built.config.logging.level;
+
+            // Dosya yolları değişmiş olabilir
+            torService.watchList(built.config);
+            vpnService.watchList(built.config);
+
+            // Eski ayarlarla hesaplanmış analizler geçersiz
+            await cacheService.clear();
+
+            this.lastReload = {
+                trigger,
+                timestamp: new Date().toISOString(),
+                durationMs: Date.now() - startedAt,
+                sources: built.sources,
+                torExitNodes: torService.getExitNodeCount(),
+                vpnRanges: vpnService.getRangeCount(),
+                asnDatabase: asnDatabase.reader !== null
+            };
+            this.lastError = null;
+
+            logger.info(`Guardian configuration reloaded in ${this.lastReload.durationMs}ms`);
+            return this.lastReload;
+
+        } catch (error) {
+            // Geçersiz config - eski ayarlarla devam et
+            this.lastError = {
+                trigger,
+                timestamp: new Date().toISOString(),
+                message: error.message
+            };
+            logger.error(`Reload failed, keeping previous configuration: ${error.message}`);
+            throw error;
+        }
+    }
+
+    getStatus() {
+        return {
+            inProgress: this.pending !== null,
+            lastReload: this.lastReload,
+            lastError: this.lastError
+        };
+    }
+}
+
+module.exports = new ReloadService();
@@ -0,0 +1,103 @@
+const { compileRules } = require('../rules/compiler');
+const logger = require('../utils/logger');
+
+/**
+ * Custom rules (config.rules) evaluated per request on top of the IP
+ * analysis. Rules are compiled once per configuration object and replaced
+ * when a reload produces a new one.
+ */
+class RuleEngine {
+    constructor() {
+        this.compiled = new WeakMap();
+    }
+
+    // Config yüklenirken doğrulandığı için burada hata beklenmez
+    compile(settings) {
+        let rules = this.compiled.get(settings.rules);
+
+        if (!rules) {
+            rules = compileRules(settings.rules).rules;
+            this.compiled.set(settings.rules, rules);
+        }
+
+        return rules;
+    }
+
+    hasMonitored(settings) {
+        return this.compile(settings).some(rule => rule.monitor);
+    }
+
+    /**
+     * Run the rules in priority order. Score and tag rules add up, the
+     * first allow, block or challenge rule decides and stops evaluation.
+     * Monitor-only rules are skipped unless `shadow` is set, which
+     * evaluates the candidate policy with every rule enforced.
+     * @param {Object} analysis - IP analysis (not modified)
+     * @param {{ userAgent?: string, path?: string, method?: string, headers?: Object, now?: Date }} request
+     * @returns {{ matched: string[], monitored: string[], signals: Object[], tags: string[], decision: Object|null }}
+     */
+    evaluate(analysis, request, settings, { shadow = false } = {}) {
+        const outcome = { matched: [], monitored: [], signals: [], tags: [], decision: null };
+        const rules = this.compile(settings);
+        if (rules.length === 0) return outcome;
+
+        // Koşullar o ana kadarki skor, sinyal ve etiketleri görür
+        const state = {
+            riskScore: analysis.riskScore,
+            signals: [...analysis.signals],
+            tags: outcome.tags
+        };
+        const ctx = {
+            ip: analysis.ip,
+            asn: analysis.details?.asn,
+            country: analysis.details?.country,
+            userAgent: request.userAgent || '',
+            path: request.path || '/',
+            method: request.method || 'GET',
+            headers: request.headers || {},
+            // Log tekrarında isteğin kendi zamanı kullanılır
+            now: request.now || new Date(),
+            analysis: state
+        };
+
+        for (const rule of rules) {
+            if (rule.monitor && !shadow) continue;
+
+            let matched;
+            try {
+                matched = rule.matches(ctx);
+            } catch (error) {
+                logger.warn(`Rule ${rule.id} failed: ${error.message}`);
+                continue;
+            }
+            if (!matched) continue;
+
+            outcome.matched.push(rule.id);
+            if (rule.monitor) {
+                outcome.monitored.push(rule.id);
+            }
+            rule.tags
+                .filter(tag => !outcome.tags.includes(tag))
+                .forEach(tag => outcome.tags.push(tag));
+
+            if (rule.action === 'score') {
+                const signal = {
+                    signal: rule.reason,
+                    points: rule.points,
+                    source: 'rule',
+                    evidence: { rule: rule.id, description: rule.description }
+                };
+                outcome.signals.push(signal);
+                state.signals.push(signal);
+                state.riskScore = Math.max(0, Math.min(state.riskScore + rule.points, 100));
+            } else if (rule.action !== 'tag') {
+                outcome.decision = rule;
+                break;
+            }
+        }
+
+        return outcome;
+    }
+}
+
+module.exports = new RuleEngine();
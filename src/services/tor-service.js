@@ -1,21 +1,34 @@
 const axios = require('axios');
+const config = require('../config');
+const ListProvider = require('./list-provider');
+const { normalizeIP } = require('../utils/ip-utils');
 const logger = require('../utils/logger');
 
 class TorService {
     constructor() {
         this.torExitNodes = new Set();
         this.lastUpdate = null;
-        this.updateInterval = 3600000; // 1 saat
+        this.lastCheck = null;
+        this.list = new ListProvider({
+            name: 'Tor exit node',
+            pathKey: 'torNodes',
+            fetchRemote: () => this.fetchRemoteExitNodes(),
+            parse: (lines) => this.parseExitNodes(lines)
+        });
+    }
+
+    get updateInterval() {
+        return config.get().dataSources.updateInterval.torNodes * 60000;
     }
 
     async isTorExitNode(ip) {
         try {
             // Exit node listesi güncel değilse güncelle
-            if (!this.lastUpdate || Date.now() - this.lastUpdate > this.updateInterval) {
+            if (!this.lastCheck || Date.now() - this.lastCheck > this.updateInterval) {
                 await this.updateTorExitNodes();
             }
             
-            return this.torExitNodes.has(ip);
+            return this.torExitNodes.has(normalizeIP(ip));
         } catch (error) {
             logger.warn('Tor exit node check failed:', error.message);
             return false;
@@ -23,6 +36,34 @@ class TorService {
     }
 
     async updateTorExitNodes() {
+        const result = await this.fetchExitNodes();
+        if (result) {
+            this.applyExitNodes(result);
+        } else if (this.torExitNodes.size === 0) {
+            // Hiç liste yoksa birkaç bilinen exit node ile başla
+            this.torExitNodes = new Set(this.loadHardcodedExitNodes());
+        }
+    }
+
+    /**
+     * Load the exit node list (data file first, network if allowed) without
+     * touching the active set, so a reload can swap it in at once.
+     * Returns null when no list could be loaded, so the set in use is kept.
+     */
+    async fetchExitNodes(settings = config.get()) {
+        this.lastCheck = Date.now();
+
+        try {
+            return await this.list.load(settings);
+        } catch (error) {
+            logger.error('Failed to load Tor exit nodes:', error.message);
+            this.list.recordError(error);
+            return null;
+        }
+    }
+
+    // İki kaynak da başarısızsa hata fırlatır; mevcut liste korunur
+    async fetchRemoteExitNodes() {
         try {
             logger.info('Updating Tor exit node list...');
             
@@ -37,23 +78,18 @@ class TorService {
                 }
             );
 
-            if (response.data) {
-                const exitNodes = response.data
-                    .split('\n')
-                    .map(line => line.trim())
-                    .filter(line => line && !line.startsWith('#'));
-
-                this.torExitNodes.clear();
-                exitNodes.forEach(ip => this.torExitNodes.add(ip));
-                
-                this.lastUpdate = Date.now();
-                logger.info(`Updated Tor exit nodes: ${exitNodes.length} nodes loaded`);
+            if (!response.data) {
+                throw new Error('Empty Tor exit node list');
             }
+
+            const exitNodes = this.list.splitLines(response.data);
+            logger.info(`Updated Tor exit nodes: ${exitNodes.length} nodes loaded`);
+            return exitNodes;
         } catch (error) {
             logger.error('Failed to update Tor exit nodes:', error.message);
             
             // Fallback - önceden yüklenmiş bir liste kullan
-            await this.loadFallbackExitNodes();
+            return this.loadFallbackExitNodes();
         }
     }
 
@@ -65,22 +101,16 @@ class TorService {
                 { timeout: 10000 }
             );
 
-            if (response.data) {
-                const exitNodes = response.data
-                    .split('\n')
-                    .map(line => line.trim())
-                    .filter(line => line && !line.startsWith('#'));
-
-                exitNodes.forEach(ip => this.torExitNodes.add(ip));
-                this.lastUpdate = Date.now();
-                
-                logger.info(`Loaded fallback Tor exit nodes: ${exitNodes.length} nodes`);
+            if (!response.data) {
+                throw new Error('Empty fallback list');
             }
+
+            const exitNodes = this.list.splitLines(response.data);
+            logger.info(`Loaded fallback Tor exit nodes: ${exitNodes.length} nodes`);
+            return exitNodes;
         } catch (error) {
             logger.warn('Could not load fallback Tor exit nodes:', error.message);
-            
-            // En son çare - hardcoded birkaç bilinen exit node
-            this.loadHardcodedExitNodes();
+            throw new Error(`Tor exit node download failed: ${error.message}`);
         }
     }
 
@@ -93,10 +123,35 @@ class TorService {
             '185.220.100.240'
         ];
         
-        knownExitNodes.forEach(ip => this.torExitNodes.add(ip));
-        this.lastUpdate = Date.now();
-        
         logger.info('Loaded hardcoded Tor exit nodes as fallback');
+        return knownExitNodes;
+    }
+
+    /**
+     * Store addresses in canonical form so IPv6 exits match however they
+     * are written in the list or the request.
+     */
+    parseExitNodes(lines) {
+        const nodes = lines.map(normalizeIP).filter(Boolean);
+        if (nodes.length < lines.length) {
+            logger.warn(`Skipped ${lines.length - nodes.length} invalid Tor exit node addresses`);
+        }
+        return { data: nodes, count: nodes.length };
+    }
+
+    applyExitNodes(result) {
+        // Yarım dolu bir set görülmemesi için referans tek seferde değişir
+        this.torExitNodes = new Set(result.data);
+        this.lastUpdate = Date.now();
+        this.list.record(result);
+    }
+
+    watchList(settings = config.get()) {
+        this.list.watch(result => this.applyExitNodes(result), settings);
+    }
+
+    getListStatus() {
+        return this.list.getStatus(config.get().dataSources.updateInterval.torNodes);
     }
 
     getExitNodeCount() {
@@ -0,0 +1,263 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config');
+const { buildKeyRing } = require('../utils/key-ring');
+const { normalizeIP } = require('../utils/ip-utils');
+const logger = require('../utils/logger');
+
+const ISSUER = 'raliux-guardian';
+
+function encode(value) {
+    return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+// User-Agent ve iptal listesindeki IP'ler açık yazılmaz
+function digest(value) {
+    return crypto.createHash('sha256').update(String(value || '')).digest('base64url').slice(0, 16);
+}
+
+/**
+ * Signed verdict tokens (JWT, HS256 or EdDSA) carrying the client address,
+ * User-Agent hash, risk score and decision, so backend middlewares can
+ * trust a verdict without asking Guardian again. Only verdicts about the
+ * address are signed; rule, rate limit and challenge outcomes belong to
+ * one request and get no token. Keys rotate through
+ * verdictTokens.activeKey (older keys keep verifying until removed);
+ * single tokens or every token of an IP can be revoked until they expire.
+ */
+class VerdictTokenService {
+    constructor() {
+        this.rings = new WeakMap();
+        this.revocations = [];
+        this.storeFile = null;
+        this.pruneInterval = 60000; // 1 dakika
+    }
+
+    async initialize() {
+        this.storeFile = config.get().dataSources.revokedTokens;
+        this.revocations = this.readStore();
+        this.pruneExpired();
+
+        setInterval(() => this.pruneExpired(), this.pruneInterval).unref();
+    }
+
+    readStore() {
+        if (!fs.existsSync(this.storeFile)) return [];
+
+        try {
+            const content = JSON.parse(fs.readFileSync(this.storeFile, 'utf8'));
+            return Array.isArray(content.revocations) ? content.revocations : [];
+        } catch (error) {
+            logger.error(`Could not read token revocations from ${this.storeFile}:`, error.message);
+            return [];
+        }
+    }
+
+    saveStore() {
+        const dir = path.dirname(this.storeFile);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+
+        const tmpFile = `${this.storeFile}.tmp`;
+        fs.writeFileSync(tmpFile, JSON.stringify({ revocations: this.revocations }, null, 2));
+        fs.renameSync(tmpFile, this.storeFile);
+    }
+
+    // Config nesnesi donmuş; yeniden yüklenene kadar aynı anahtarlar kullanılır
+    keyRing(settings) {
+        const tokens = settings.verdictTokens;
+        if (!this.rings.has(tokens)) {
+            this.rings.set(tokens, buildKeyRing(tokens));
+        }
+        return this.rings.get(tokens);
+    }
+
+
+    // Kural, rate limit ve challenge kararı path/zamana bağlı; başka isteğe taşınamaz
+    requestScoped(analysis) {
+        return Boolean(analysis.rules || analysis.rateLimit || analysis.challenge || analysis.clearance ||
+            analysis.shadow?.challenge || analysis.shadow?.source === 'rules');
+    }
+
+    /**
+     * Token for a final verdict, or null when verdict tokens are disabled
+     * or the verdict depends on the request (see requestScoped).
+     * @returns {{ token: string, expiresAt: string }|null}
+     */
+    issue(analysis, userAgent, settings = config.get()) {
+        const { enabled, ttl } = settings.verdictTokens;
+        const { active } = this.keyRing(settings);
+        if (!enabled || !active || this.requestScoped(analysis)) return null;
+
+        const iat = Math.floor(Date.now() / 1000);
+        const header = encode({ alg: active.alg, typ: 'JWT', kid: active.id });
+        const payload = encode({
+            iss: ISSUER,
+            jti: crypto.randomBytes(12).toString('base64url'),
+            iat,
+            exp: iat + ttl,
+            ip: analysis.client?.ip || analysis.ip,
+            ua: digest(userAgent),
+            score: analysis.riskScore,
+            decision: analysis.isBlocked ? 'block' : 'allow',
+            reason: analysis.reason || null
+        });
+
+        return {
+            token: `${header}.${payload}.${this.sign(`${header}.${payload}`, active)}`,
+            expiresAt: new Date((iat + ttl) * 1000).toISOString()
+        };
+    }
+
+    sign(data, key) {
+        return key.alg === 'HS256'
+            ? crypto.createHmac('sha256', key.secret).update(data).digest('base64url')
+            : crypto.sign(null, Buffer.from(data), key.privateKey).toString('base64url');
+    }
+
+    checkSignature(data, signature, key) {
+        if (key.alg === 'EdDSA') {
+            return crypto.verify(null, Buffer.from(data), key.publicKey, Buffer.from(signature, 'base64url'));
+        }
+
+        const expected = Buffer.from(this.sign(data, key));
+        const actual = Buffer.from(signature);
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    }
+
+    /**
+     * Verify a token. With ip/userAgent the token must also belong to that
+     * client. Returns { payload } or { error }.
+     */
+    verify(token, { ip, userAgent } = {}, settings = config.get()) {
+        const parts = typeof token === 'string' ? token.split('.') : [];
+        if (parts.length !== 3) return { error: 'Malformed token' };
+
+        let header;
+        let payload;
+        try {
+            header = JSON.parse(Buffer.from(parts[0], 'base64url').toString());
+            payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString());
+        } catch (error) {
+            return { error: 'Malformed token' };
+        }
+
+        // Anahtar halkasından çıkarılan anahtarla imzalanmış token'lar geçersiz
+        const key = this.keyRing(settings).keys.get(header.kid);
+        if (!key || header.alg !== key.alg) return { error: 'Unknown signing key' };
+        if (!this.checkSignature(`${parts[0]}.${parts[1]}`, parts[2], key)) return { error: 'Invalid signature' };
+
+        if (payload.iss !== ISSUER || !(payload.exp > Date.now() / 1000)) return { error: 'Token expired' };
+        if (this.isRevoked(payload)) return { error: 'Token revoked' };
+        if (ip && payload.ip !== normalizeIP(ip)) return { error: 'Token was issued to another address' };
+        if (userAgent !== undefined && payload.ua !== digest(userAgent)) return { error: 'Token was issued to another client' };
+
+        return { payload };
+    }
+
+    isRevoked(payload) {
+        const ipHash = digest(payload.ip);
+        return this.revocations.some(entry =>
+            (entry.type === 'token' && entry.value === payload.jti) ||
+            (entry.type === 'ip' && entry.value === ipHash && payload.iat <= entry.before));
+    }
+
+    /**
+     * Revoke one token (by jti or the token itself) or every token issued
+     * to an IP so far. The entry is kept until those tokens have expired.
+     * @param {{ jti?: string, token?: string, ip?: string, note?: string, author?: string }} input
+     */
+    revoke(input, settings = config.get()) {
+        const now = Math.floor(Date.now() / 1000);
+        let entry;
+
+        if (input.ip) {
+            const ip = normalizeIP(String(input.ip));
+            if (!ip) throw new Error(`"${input.ip}" is not a valid IP address`);
+
+            entry = { type: 'ip', value: digest(ip), ip, before: now, expiresAt: now + settings.verdictTokens.ttl };
+        } else {
+            // İmzası geçerli olmasa da jti ve süresi okunabilir
+            const decoded = input.token ? this.decode(input.token) : null;
+            const jti = decoded?.jti || input.jti;
+            if (typeof jti !== 'string' || !jti) throw new Error('jti, token or ip is required');
+
+            entry = { type: 'token', value: jti, expiresAt: decoded?.exp || now + settings.verdictTokens.ttl };
+        }
+
+        entry = {
+            id: crypto.randomBytes(8).toString('hex'),
+            ...entry,
+            note: input.note || null,
+            author: input.author || null,
+            createdAt: new Date().toISOString()
+        };
+
+        this.revocations.push(entry);
+        this.saveStore();
+
+        logger.info(`Verdict tokens revoked: ${entry.type} ${entry.ip || entry.value}`);
+        return entry;
+    }
+
+    decode(token) {
+        try {
+            return JSON.parse(Buffer.from(String(token).split('.')[1], 'base64url').toString());
+        } catch (error) {
+            return null;
+        }
+    }
+
+    removeRevocation(id) {
+        const index = this.revocations.findIndex(entry => entry.id === id);
+        if (index === -1) return null;
+
+        const [entry] = this.revocations.splice(index, 1);
+        this.saveStore();
+        return entry;
+    }
+
+    // İptal edilen token'ların süresi dolduysa kayda gerek yok
+    pruneExpired(now = Date.now() / 1000) {
+        const active = this.revocations.filter(entry => entry.expiresAt > now);
+        if (active.length === this.revocations.length) return;
+
+        this.revocations = active;
+        this.saveStore();
+    }
+
+    getRevocations() {
+        return this.revocations;
+    }
+
+    /**
+     * What a backend middleware needs to verify tokens locally: key ids
+     * (with the public key for EdDSA; HMAC secrets are shared out of band)
+     * and the active revocations.
+     */
+    getVerificationData(settings = config.get()) {
+        const { enabled, algorithm, ttl, header } = settings.verdictTokens;
+
+        return {
+            enabled,
+            algorithm,
+            ttl,
+            header,
+            keys: [...this.keyRing(settings).keys.values()].map(key => ({
+                kid: key.id,
+                alg: key.alg,
+                ...(key.publicKey ? { publicKey: key.publicKey.export({ type: 'spki', format: 'pem' }) } : {})
+            })),
+            revoked: {
+                tokens: this.revocations.filter(entry => entry.type === 'token').map(entry => entry.value),
+                ips: this.revocations
+                    .filter(entry => entry.type === 'ip')
+                    .map(entry => ({ hash: entry.value, before: entry.before }))
+            }
+        };
+    }
+}
+
+module.exports = new VerdictTokenService();
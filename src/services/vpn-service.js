@@ -0,0 +1,97 @@
+const path = require('path');
+const axios = require('axios');
+const config = require('../config');
+const ListProvider = require('./list-provider');
+const CidrMatcher = require('../utils/cidr-matcher');
+const logger = require('../utils/logger');
+
+class VPNService {
+    constructor() {
+        this.ranges = new CidrMatcher();
+        this.list = new ListProvider({
+            name: 'VPN range',
+            pathKey: 'vpnRanges',
+            fetchRemote: () => this.fetchRemoteRanges(),
+            parse: (lines, origin) => this.buildMatcher(lines, origin)
+        });
+    }
+
+    async initialize() {
+        await this.loadRanges();
+        this.watchList();
+    }
+
+    async loadRanges() {
+        const result = await this.fetchRanges();
+        if (result) {
+            this.applyRanges(result);
+        }
+    }
+
+    /**
+     * Build a new matcher from the VPN/Proxy list (data file first, network
+     * if allowed). Returns null on failure so the ranges in use are kept.
+     */
+    async fetchRanges(settings = config.get()) {
+        try {
+            return await this.list.load(settings);
+        } catch (error) {
+            logger.warn('Could not load VPN ranges:', error.message);
+            this.list.recordError(error);
+            return null;
+        }
+    }
+
+    async fetchRemoteRanges() {
+        // VPN/Proxy IP aralıklarını yükle (ücretsiz kaynaklardan)
+        const response = await axios.get(
+            'https://raw.githubusercontent.com/X4BNet/lists_vpn/main/ipv4.txt',
+            { timeout: 10000 }
+        );
+
+        return this.list.splitLines(response.data || '');
+    }
+
+    buildMatcher(lines, origin) {
+        const source = origin === 'network' ? 'x4bnet' : path.basename(origin);
+        const matcher = new CidrMatcher();
+        lines.forEach(range => matcher.add(range, { source }));
+
+        if (matcher.invalid > 0) {
+            logger.warn(`Skipped ${matcher.invalid} invalid VPN ranges`);
+        }
+        logger.info(`Loaded ${matcher.size} VPN IP ranges from ${origin}`);
+
+        return { data: matcher, count: matcher.size };
+    }
+
+    applyRanges(result) {
+        this.ranges = result.data;
+        this.list.record(result);
+    }
+
+    watchList(settings = config.get()) {
+        this.list.watch(result => this.applyRanges(result), settings);
+    }
+
+    /**
+     * Most specific VPN/datacenter range containing the IP, or null.
+     */
+    match(ip) {
+        return this.ranges.match(ip);
+    }
+
+    isAvailable() {
+        return this.ranges.size > 0;
+    }
+
+    getRangeCount() {
+        return this.ranges.size;
+    }
+
+    getListStatus() {
+        return this.list.getStatus(config.get().dataSources.updateInterval.vpnRanges);
+    }
+}
+
+module.exports = new VPNService();
@@ -0,0 +1,214 @@
+/**
+ * Proof-of-work challenge page
+ * Self-contained HTML (inline script and style allowed by a per-response
+ * CSP nonce) that solves the challenge in the browser and posts the
+ * result to the verify endpoint
+ */
+
+const crypto = require('crypto');
+
+// Uygulama yollarıyla çakışmasın diye sabit önek (nginx bu yolu Guardian'a yönlendirir)
+const CHALLENGE_PATH = '/__guardian/challenge';
+
+// Tarayıcı tarafı SHA-256: crypto.subtle sadece HTTPS'te var, düz HTTP'de de çalışmalı
+const SOLVER = `
+var K = [
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+];
+
+function sha256(message) {
+    var length = message.length;
+    var blocks = ((length + 8) >> 6) + 1;
+    var words = new Array(blocks * 16).fill(0);
+    var W = new Array(64);
+    var H = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+    var i, t;
+
+    for (i = 0; i < length; i++) words[i >> 2] |= message.charCodeAt(i) << (24 - (i % 4) * 8);
+    words[length >> 2] |= 0x80 << (24 - (length % 4) * 8);
+    words[blocks * 16 - 1] = length * 8;
+
+    for (i = 0; i < words.length; i += 16) {
+        var a = H[0], b = H[1], c = H[2], d = H[3], e = H[4], f = H[5], g = H[6], h = H[7];
+        for (t = 0; t < 64; t++) {
+            if (t < 16) {
+                W[t] = words[i + t];
+            } else {
+                var x = W[t - 15], y = W[t - 2];
+                W[t] = (((x >>> 7 | x << 25) ^ (x >>> 18 | x << 14) ^ (x >>> 3)) + W[t - 7] +
+                    ((y >>> 17 | y << 15) ^ (y >>> 19 | y << 13) ^ (y >>> 10)) + W[t - 16]) | 0;
+            }
+            var t1 = (h + ((e >>> 6 | e << 26) ^ (e >>> 11 | e << 21) ^ (e >>> 25 | e << 7)) +
+                ((e & f) ^ (~e & g)) + K[t] + W[t]) | 0;
+            var t2 = (((a >>> 2 | a << 30) ^ (a >>> 13 | a << 19) ^ (a >>> 22 | a << 10)) +
+                ((a & b) ^ (a & c) ^ (b & c))) | 0;
+            h = g; g = f; f = e; e = (d + t1) | 0; d = c; c = b; b = a; a = (t1 + t2) | 0;
+        }
+        H[0] = (H[0] + a) | 0; H[1] = (H[1] + b) | 0; H[2] = (H[2] + c) | 0; H[3] = (H[3] + d) | 0;
+        H[4] = (H[4] + e) | 0; H[5] = (H[5] + f) | 0; H[6] = (H[6] + g) | 0; H[7] = (H[7] + h) | 0;
+    }
+    return H;
+}
+
+function zeroBits(hash) {
+    var bits = 0;
+    for (var i = 0; i < hash.length; i++) {
+        if (hash[i] === 0) { bits += 32; continue; }
+        return bits + Math.clz32(hash[i]);
+    }
+    return bits;
+}
+`;
+
+const PAGE_SCRIPT = `
+var cfg = JSON.parse(document.getElementById('guardian-challenge').textContent);
+var status = document.getElementById('status');
+var counter = 0;
+
+function fail(message) {
+    status.textContent = message + ' Sayfayı yenileyip tekrar deneyin.';
+}
+
+function submit(solution) {
+    status.textContent = 'Doğrulanıyor...';
+    fetch(cfg.verifyUrl, {
+        method: 'POST',
+        credentials: 'same-origin',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token: cfg.token, counter: solution })
+    }).then(function (response) {
+        return response.json().then(function (body) {
+            if (response.ok) {
+                window.location.replace(cfg.returnTo);
+            } else {
+                fail(body.error || 'Doğrulama başarısız.');
+            }
+        });
+    }).catch(function () {
+        fail('Bağlantı hatası.');
+    });
+}
+
+function step() {
+    var end = counter + 5000;
+    for (; counter < end; counter++) {
+        if (zeroBits(sha256(cfg.token + ':' + counter)) >= cfg.difficulty) {
+            return submit(counter);
+        }
+    }
+    setTimeout(step, 0);
+}
+
+step();
+`;
+
+function escapeHTML(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * @param {{ token: string, difficulty: number, verifyUrl: string, returnTo: string, nonce: string }} options
+ */
+function renderChallengePage({ token, difficulty, verifyUrl, returnTo, nonce }) {
+    // JSON script içinde "</script>" kapanışına karşı
+    const data = JSON.stringify({ token, difficulty, verifyUrl, returnTo }).replace(/</g, '\\u003c');
+
+    return `<!DOCTYPE html>
+<html lang="tr">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <title>Tarayıcı Doğrulaması - Guardian</title>
+    <style nonce="${escapeHTML(nonce)}">
+        body {
+            font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+            background: linear-gradient(135deg, #0d0d0d, #1a1a1a);
+            color: #00ff88;
+            margin: 0;
+            min-height: 100vh;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            text-align: center;
+        }
+        .shield { font-size: 80px; margin-bottom: 20px; }
+        .message { font-size: 24px; margin-bottom: 10px; }
+        .details { font-size: 16px; color: #888; }
+    </style>
+</head>
+<body>
+    <div>
+        <div class="shield">🛡️</div>
+        <div class="message">Tarayıcınız doğrulanıyor</div>
+        <div class="details">
+            <p id="status">Bu işlem birkaç saniye sürebilir.</p>
+            <noscript><p>Devam etmek için JavaScript'i etkinleştirin.</p></noscript>
+            <p><strong>Powered by Raliux Guardian</strong></p>
+        </div>
+    </div>
+    <script type="application/json" id="guardian-challenge">${data}</script>
+    <script nonce="${escapeHTML(nonce)}">(function () {${SOLVER}${PAGE_SCRIPT}})();</script>
+</body>
+</html>`;
+}
+
+/**
+ * Same-site relative paths only, anything else returns to "/".
+ */
+function safeReturnPath(value) {
+    return typeof value === 'string' && value.startsWith('/') && !value.startsWith('//') && !value.includes('\\')
+        ? value
+        : '/';
+}
+
+/**
+ * Send the page for an issued challenge with status 401 (nginx
+ * auth_request passes 401 and 403 on, so the two can be told apart).
+ * @param {{ token: string, difficulty: number }} challenge
+ */
+function sendChallengePage(res, challenge, returnTo) {
+    const nonce = crypto.randomBytes(16).toString('base64');
+
+    res.set('Content-Security-Policy', challengePolicy(nonce));
+    res.set('Cache-Control', 'no-store');
+    res.status(401).type('html').send(renderChallengePage({
+        token: challenge.token,
+        difficulty: challenge.difficulty,
+        verifyUrl: `${CHALLENGE_PATH}/verify`,
+        returnTo: safeReturnPath(returnTo),
+        nonce
+    }));
+}
+
+/**
+ * Content-Security-Policy for the page (replaces helmet's default).
+ */
+function challengePolicy(nonce) {
+    return [
+        "default-src 'none'",
+        `script-src 'nonce-${nonce}'`,
+        `style-src 'nonce-${nonce}'`,
+        "connect-src 'self'",
+        "base-uri 'none'",
+        "form-action 'self'",
+        "frame-ancestors 'none'"
+    ].join('; ');
+}
+
+module.exports = {
+    CHALLENGE_PATH,
+    renderChallengePage,
+    sendChallengePage
+};
@@ -0,0 +1,113 @@
+/**
+ * CIDR Matcher
+ * Binary radix trie for longest-prefix matching of IPv4/IPv6 ranges
+ */
+
+const { parseIP, parseCIDR } = require('./ip-utils');
+
+const NO_ENTRY = -1;
+
+class RadixTrie {
+    constructor(bits) {
+        this.bits = bits;
+        this.size = 1; // 0 = root
+        this.capacity = 1024;
+        this.left = new Int32Array(this.capacity);
+        this.right = new Int32Array(this.capacity);
+        this.entry = new Int32Array(this.capacity).fill(NO_ENTRY);
+    }
+
+    grow() {
+        this.capacity *= 2;
+
+        const left = new Int32Array(this.capacity);
+        const right = new Int32Array(this.capacity);
+        const entry = new Int32Array(this.capacity).fill(NO_ENTRY);
+        left.set(this.left);
+        right.set(this.right);
+        entry.set(this.entry);
+
+        this.left = left;
+        this.right = right;
+        this.entry = entry;
+    }
+
+    insert(bytes, prefix, entryIndex) {
+        let node = 0;
+
+        for (let i = 0; i < prefix; i++) {
+            const bit = (bytes[i >> 3] >> (7 - (i & 7))) & 1;
+            if (this.size === this.capacity) this.grow();
+
+            // grow() dizileri değiştirdiği için referans her adımda alınır
+            const children = bit ? this.right : this.left;
+            if (children[node] === 0) {
+                children[node] = this.size++;
+            }
+            node = children[node];
+        }
+
+        this.entry[node] = entryIndex;
+    }
+
+    lookup(bytes) {
+        let node = 0;
+        let best = this.entry[0];
+
+        for (let i = 0; i < this.bits; i++) {
+            node = ((bytes[i >> 3] >> (7 - (i & 7))) & 1 ? this.right : this.left)[node];
+            if (node === 0) break;
+            if (this.entry[node] !== NO_ENTRY) best = this.entry[node];
+        }
+
+        return best;
+    }
+}
+
+class CidrMatcher {
+    constructor() {
+        this.v4 = new RadixTrie(32);
+        this.v6 = new RadixTrie(128);
+        this.entries = [];
+        this.invalid = 0;
+    }
+
+    /**
+     * Add a range ("10.0.0.0/8", "2001:db8::/32" or a single address).
+     * Returns false when the range cannot be parsed.
+     */
+    add(cidr, data = null) {
+        const parsed = parseCIDR(cidr);
+        if (!parsed) {
+            this.invalid++;
+            return false;
+        }
+
+        const trie = parsed.version === 4 ? this.v4 : this.v6;
+        this.entries.push({ range: cidr.trim(), prefix: parsed.prefix, data });
+        trie.insert(parsed.bytes, parsed.prefix, this.entries.length - 1);
+        return true;
+    }
+
+    /**
+     * Most specific range containing the IP, or null.
+     */
+    match(ip) {
+        const parsed = parseIP(ip);
+        if (!parsed) return null;
+
+        const trie = parsed.version === 4 ? this.v4 : this.v6;
+        const index = trie.lookup(parsed.bytes);
+        return index === NO_ENTRY ? null : this.entries[index];
+    }
+
+    has(ip) {
+        return this.match(ip) !== null;
+    }
+
+    get size() {
+        return this.entries.length;
+    }
+}
+
+module.exports = CidrMatcher;
@@ -0,0 +1,116 @@
+/**
+ * Client IP resolution
+ * Walks the proxy chain (Forwarded / X-Forwarded-For / X-Real-IP, PROXY
+ * protocol, socket peer) from the right and stops at the first address
+ * that is not a trusted proxy
+ */
+
+const presets = require('../config/proxy-presets');
+const CidrMatcher = require('./cidr-matcher');
+const { normalizeIP } = require('./ip-utils');
+
+const FALLBACK_IP = '127.0.0.1';
+
+// Ayarlar değişmedikçe aynı matcher kullanılır
+const matchers = new WeakMap();
+
+function trustedMatcher(trustedProxies) {
+    let matcher = matchers.get(trustedProxies);
+
+    if (!matcher) {
+        matcher = new CidrMatcher();
+        trustedProxies.presets.forEach(name => presets[name].forEach(range => matcher.add(range)));
+        trustedProxies.ranges.forEach(range => matcher.add(range));
+        matchers.set(trustedProxies, matcher);
+    }
+
+    return matcher;
+}
+
+/**
+ * Split a header on commas that are not inside quoted strings.
+ */
+function splitList(value) {
+    const parts = [];
+    let current = '';
+    let quoted = false;
+
+    for (const char of value) {
+        if (char === '"') quoted = !quoted;
+        if (char === ',' && !quoted) {
+            parts.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    parts.push(current);
+
+    return parts.map(part => part.trim()).filter(Boolean);
+}
+
+/**
+ * "for" values of an RFC 7239 Forwarded header, leftmost first.
+ * Elements without a for= parameter are kept as "unknown".
+ */
+function parseForwarded(value) {
+    return splitList(value).map(element => {
+        const pair = element
+            .split(';')
+            .map(param => param.trim())
+            .find(param => param.toLowerCase().startsWith('for='));
+
+        return pair ? pair.slice(4).trim().replace(/^"(.*)"$/, '$1') : 'unknown';
+    });
+}
+
+function headerHops(name, value) {
+    const raw = Array.isArray(value) ? value.join(',') : String(value);
+    const addresses = name === 'forwarded' ? parseForwarded(raw) : splitList(raw);
+    return addresses.map(address => ({ raw: address, ip: normalizeIP(address), source: name }));
+}
+
+/**
+ * Resolve the client address of a request.
+ * @param {string[]} [headers] address headers to read, first present wins
+ * @returns {{ ip: string, source: string, chain: string[] }} chain is
+ *   ordered client first, socket peer last
+ */
+function resolveClientIP(req, settings, headers = settings.trustedProxies.headers) {
+    const trusted = trustedMatcher(settings.trustedProxies);
+    const socket = req.socket || req.connection;
+    const hops = [];
+
+    // Sadece ilk mevcut başlık kullanılır; güvenilen proxy'nin yazmadığı
+    // bir başlığı okumak sahteciliğe açık olur
+    const header = headers.find(name => req.headers[name]);
+    if (header) {
+        hops.push(...headerHops(header, req.headers[header]));
+    }
+
+    if (socket?.proxyProtocol?.source) {
+        const address = socket.proxyProtocol.source;
+        hops.push({ raw: address, ip: normalizeIP(address), source: 'proxy-protocol' });
+    }
+
+    const peer = socket?.remoteAddress || req.ip || '';
+    hops.push({ raw: peer, ip: normalizeIP(peer), source: 'socket' });
+
+    // Sağdan sola: güvenilen proxy'leri atla, ilk güvenilmeyen adres istemcidir.
+    // Okunamayan bir adreste durulur ve onu bildiren proxy seçilir.
+    let index = hops.length - 1;
+    while (index > 0 && hops[index].ip && trusted.has(hops[index].ip) && hops[index - 1].ip) {
+        index--;
+    }
+
+    return {
+        ip: hops[index].ip || FALLBACK_IP,
+        source: hops[index].source,
+        chain: hops.map(hop => hop.ip || hop.raw)
+    };
+}
+
+module.exports = {
+    resolveClientIP,
+    parseForwarded
+};
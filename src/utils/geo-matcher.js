@@ -0,0 +1,66 @@
+/**
+ * Geo Matcher
+ * Matches geoip-lite lookups against "CC", "CC:REGION" and "CC:REGION:City" locations
+ */
+
+const LOCATION_PATTERN = /^([A-Za-z]{2})(?::([^:]+))?(?::([^:]+))?$/;
+
+/**
+ * Split a location into lookup keys, or null when it is malformed.
+ * "us:ca:San Francisco" -> { country: 'US', region: 'CA', city: 'san francisco' }
+ */
+function parseLocation(location) {
+    const match = typeof location === 'string' ? location.trim().match(LOCATION_PATTERN) : null;
+    if (!match) return null;
+
+    return {
+        country: match[1].toUpperCase(),
+        region: match[2] ? match[2].trim().toUpperCase() : null,
+        city: match[3] ? match[3].trim().toLowerCase() : null
+    };
+}
+
+function keyOf(country, region, city) {
+    return [country, region, city].filter(Boolean).join(':');
+}
+
+class GeoMatcher {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    /**
+     * Add a location. Returns false when it cannot be parsed.
+     */
+    add(location, data = null) {
+        const parsed = parseLocation(location);
+        if (!parsed) return false;
+
+        this.entries.set(keyOf(parsed.country, parsed.region, parsed.city), { location, data });
+        return true;
+    }
+
+    /**
+     * Most specific location (city, then region, then country) covering the
+     * geoip-lite result, or null.
+     */
+    match(geo) {
+        if (!geo || !geo.country) return null;
+
+        const region = geo.region ? geo.region.toUpperCase() : null;
+        const city = geo.city ? geo.city.toLowerCase() : null;
+
+        return (region && city && this.entries.get(keyOf(geo.country, region, city))) ||
+            (region && this.entries.get(keyOf(geo.country, region))) ||
+            this.entries.get(geo.country) ||
+            null;
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+}
+
+GeoMatcher.parseLocation = parseLocation;
+
+module.exports = GeoMatcher;
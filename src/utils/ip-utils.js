@@ -0,0 +1,220 @@
+/**
+ * IP address helpers
+ * IPv4/IPv6 parsing into raw bytes for CIDR matching
+ */
+
+const IPV4_PART = /^(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)$/;
+const IPV6_GROUP = /^[0-9a-f]{1,4}$/i;
+
+function parseIPv4(ip) {
+    const parts = ip.split('.');
+    if (parts.length !== 4 || !parts.every(part => IPV4_PART.test(part))) {
+        return null;
+    }
+    return Uint8Array.from(parts.map(Number));
+}
+
+function parseIPv6(ip) {
+    // Zone ID (fe80::1%eth0) adres karşılaştırmasında kullanılmaz
+    const address = ip.split('%')[0];
+    const halves = address.split('::');
+    if (halves.length > 2) return null;
+
+    const toGroups = (part) => {
+        if (!part) return [];
+        const groups = part.split(':');
+        const result = [];
+
+        for (let i = 0; i < groups.length; i++) {
+            const group = groups[i];
+
+            // Son grup gömülü IPv4 olabilir (::ffff:1.2.3.4)
+            if (i === groups.length - 1 && group.includes('.')) {
+                const v4 = parseIPv4(group);
+                if (!v4) return null;
+                result.push((v4[0] << 8) | v4[1], (v4[2] << 8) | v4[3]);
+            } else if (IPV6_GROUP.test(group)) {
+                result.push(parseInt(group, 16));
+            } else {
+                return null;
+            }
+        }
+        return result;
+    };
+
+    const head = toGroups(halves[0]);
+    const tail = halves.length === 2 ? toGroups(halves[1]) : [];
+    if (!head || !tail) return null;
+
+    let groups;
+    if (halves.length === 2) {
+        const missing = 8 - head.length - tail.length;
+        if (missing < 1) return null;
+        groups = [...head, ...new Array(missing).fill(0), ...tail];
+    } else {
+        groups = head;
+    }
+
+    if (groups.length !== 8) return null;
+
+    const bytes = new Uint8Array(16);
+    groups.forEach((group, i) => {
+        bytes[i * 2] = group >> 8;
+        bytes[i * 2 + 1] = group & 0xff;
+    });
+    return bytes;
+}
+
+/**
+ * Parse an IP address into { version, bytes }.
+ * IPv4-mapped IPv6 addresses (::ffff:1.2.3.4) are returned as IPv4.
+ * Returns null for anything that is not a valid address.
+ */
+function parseIP(ip) {
+    if (typeof ip !== 'string') return null;
+    const value = ip.trim();
+    if (!value) return null;
+
+    if (!value.includes(':')) {
+        const bytes = parseIPv4(value);
+        return bytes ? { version: 4, bytes } : null;
+    }
+
+    const bytes = parseIPv6(value);
+    if (!bytes) return null;
+
+    if (isIPv4Mapped(bytes)) {
+        return { version: 4, bytes: bytes.slice(12) };
+    }
+    return { version: 6, bytes };
+}
+
+function isIPv4Mapped(bytes) {
+    for (let i = 0; i < 10; i++) {
+        if (bytes[i] !== 0) return false;
+    }
+    return bytes[10] === 0xff && bytes[11] === 0xff;
+}
+
+/**
+ * Parse "1.2.3.0/24", "2001:db8::/32" or a bare address (full-length prefix).
+ * Host bits are cleared so the result can be used as a trie key.
+ */
+function parseCIDR(cidr) {
+    if (typeof cidr !== 'string') return null;
+    const [address, prefixPart, extra] = cidr.trim().split('/');
+    if (extra !== undefined) return null;
+
+    const parsed = parseIP(address);
+    if (!parsed) return null;
+
+    const maxPrefix = parsed.version === 4 ? 32 : 128;
+    let prefix = maxPrefix;
+
+    if (prefixPart !== undefined) {
+        if (!/^\d{1,3}$/.test(prefixPart)) return null;
+        prefix = Number(prefixPart);
+
+        // ::ffff:0:0/96 gibi eşlenmiş aralıklar IPv4 önekine çevrilir
+        if (parsed.version === 4 && address.includes(':')) {
+            prefix -= 96;
+        }
+        if (prefix < 0 || prefix > maxPrefix) return null;
+    }
+
+    const bytes = parsed.bytes.slice();
+    for (let bit = prefix; bit < maxPrefix; bit++) {
+        bytes[bit >> 3] &= ~(0x80 >> (bit & 7));
+    }
+
+    return { version: parsed.version, bytes, prefix };
+}
+
+function isValidIP(ip) {
+    return parseIP(ip) !== null;
+}
+
+/**
+ * Strip brackets and ports from header/socket values:
+ * "[2001:db8::1]:443" -> "2001:db8::1", "1.2.3.4:8080" -> "1.2.3.4".
+ */
+function stripPort(value) {
+    const bracketed = value.match(/^\[([^\]]+)\](?::\d+)?$/);
+    if (bracketed) return bracketed[1];
+
+    // Tek ':' içeren değer IPv6 olamaz, IPv4:port'tur
+    const v4WithPort = value.match(/^([\d.]+):\d+$/);
+    return v4WithPort ? v4WithPort[1] : value;
+}
+
+/**
+ * Canonical text form: dotted IPv4, or RFC 5952 IPv6 (lowercase, longest
+ * zero run compressed).
+ */
+function formatIP({ version, bytes }) {
+    if (version === 4) return Array.from(bytes).join('.');
+
+    const groups = [];
+    for (let i = 0; i < 16; i += 2) {
+        groups.push((bytes[i] << 8) | bytes[i + 1]);
+    }
+
+    // En uzun sıfır dizisini bul (en az 2 grup, eşitlikte ilki)
+    let bestStart = -1;
+    let bestLength = 1;
+    for (let i = 0; i < 8; i++) {
+        let length = 0;
+        while (i + length < 8 && groups[i + length] === 0) length++;
+        if (length > bestLength) {
+            bestStart = i;
+            bestLength = length;
+        }
+        i += length;
+    }
+
+    const hex = groups.map(group => group.toString(16));
+    if (bestStart === -1) return hex.join(':');
+
+    const head = hex.slice(0, bestStart).join(':');
+    const tail = hex.slice(bestStart + bestLength).join(':');
+    return `${head}::${tail}`;
+}
+
+/**
+ * Normalize any accepted representation (IPv4-mapped, zone ID, brackets,
+ * port, expanded or compressed IPv6) to one canonical string.
+ * Returns null when the value is not an IP address.
+ */
+function normalizeIP(ip) {
+    if (typeof ip !== 'string') return null;
+
+    const parsed = parseIP(stripPort(ip.trim()));
+    return parsed ? formatIP(parsed) : null;
+}
+
+/**
+ * Key shared by addresses that belong to the same client: the address
+ * itself for IPv4, the enclosing /64 (by default) for IPv6, since one
+ * host usually gets a whole /64. A v4Prefix below 32 groups IPv4
+ * addresses by network as well.
+ */
+function subnetKey(ip, v6Prefix = 64, v4Prefix = 32) {
+    const parsed = parseIP(stripPort(String(ip).trim()));
+    if (!parsed) return ip;
+    if (parsed.version === 4) {
+        if (v4Prefix >= 32) return formatIP(parsed);
+        return `${formatIP(parseCIDR(`${formatIP(parsed)}/${v4Prefix}`))}/${v4Prefix}`;
+    }
+
+    const network = parseCIDR(`${formatIP(parsed)}/${v6Prefix}`);
+    return `${formatIP(network)}/${v6Prefix}`;
+}
+
+module.exports = {
+    parseIP,
+    parseCIDR,
+    isValidIP,
+    normalizeIP,
+    formatIP,
+    subnetKey
+};
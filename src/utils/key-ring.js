@@ -0,0 +1,84 @@
+/**
+ * Verdict token key ring
+ * Turns verdictTokens.keys into signing/verification keys and reports
+ * config errors per key (used by the schema and the token service)
+ */
+
+const crypto = require('crypto');
+
+const ALGORITHMS = {
+    hmac: 'HS256',
+    ed25519: 'EdDSA'
+};
+
+const KEY_ID = /^[A-Za-z0-9._-]{1,64}$/;
+const MIN_SECRET_LENGTH = 32;
+
+function parseKey(input, algorithm) {
+    if (algorithm === 'hmac') {
+        if (typeof input.secret !== 'string' || input.secret.length < MIN_SECRET_LENGTH) {
+            throw new Error(`secret must be at least ${MIN_SECRET_LENGTH} characters`);
+        }
+        return { secret: Buffer.from(input.secret), canSign: true };
+    }
+
+    if (!input.privateKey && !input.publicKey) {
+        throw new Error('privateKey or publicKey (PEM) is required');
+    }
+
+    // Özel anahtar imzalar; sadece açık anahtarı olan eski anahtar doğrulamada kullanılır
+    const privateKey = input.privateKey ? crypto.createPrivateKey(input.privateKey) : null;
+    const publicKey = privateKey ? crypto.createPublicKey(privateKey) : crypto.createPublicKey(input.publicKey);
+    if (publicKey.asymmetricKeyType !== 'ed25519') {
+        throw new Error(`expected an Ed25519 key (got ${publicKey.asymmetricKeyType})`);
+    }
+
+    return { privateKey, publicKey, canSign: Boolean(privateKey) };
+}
+
+/**
+ * @param {{ enabled: boolean, algorithm: string, activeKey?: string, keys: Object[] }} settings
+ * @returns {{ keys: Map<string, Object>, active: Object|null, errors: string[] }}
+ *   errors are relative paths (".keys[1].secret: ...") like compileRules
+ */
+function buildKeyRing(settings) {
+    const keys = new Map();
+    const errors = [];
+
+    (Array.isArray(settings.keys) ? settings.keys : []).forEach((input, i) => {
+        const id = input && input.id;
+        if (typeof id !== 'string' || !KEY_ID.test(id)) {
+            errors.push(`.keys[${i}].id: must be 1-64 letters, digits, ".", "_" or "-"`);
+            return;
+        }
+        if (keys.has(id)) {
+            errors.push(`.keys[${i}].id: duplicate key id "${id}"`);
+            return;
+        }
+
+        try {
+            keys.set(id, { id, alg: ALGORITHMS[settings.algorithm], ...parseKey(input, settings.algorithm) });
+        } catch (error) {
+            errors.push(`.keys[${i}] (key "${id}"): ${error.message}`);
+        }
+    });
+
+    const active = settings.activeKey
+        ? keys.get(settings.activeKey)
+        : [...keys.values()].find(key => key.canSign);
+
+    if (settings.activeKey && !keys.has(settings.activeKey) && errors.length === 0) {
+        errors.push(`.activeKey: no key with id "${settings.activeKey}"`);
+    } else if (active && !active.canSign) {
+        errors.push(`.activeKey: key "${active.id}" has no private key`);
+    } else if (settings.enabled && !active && errors.length === 0) {
+        errors.push('.keys: a signing key is required when verdict tokens are enabled');
+    }
+
+    return { keys, active: active && active.canSign ? active : null, errors };
+}
+
+module.exports = {
+    ALGORITHMS,
+    buildKeyRing
+};
@@ -0,0 +1,166 @@
+/**
+ * PROXY protocol (v1 text and v2 binary) support
+ * Reads the header a load balancer sends before the HTTP request and stores
+ * the original addresses on socket.proxyProtocol
+ */
+
+const net = require('net');
+const logger = require('./logger');
+
+const V2_SIGNATURE = Buffer.from('0d0a0d0a000d0a515549540a', 'hex');
+const V1_PREFIX = Buffer.from('PROXY ');
+const V1_MAX_LENGTH = 107;
+const HEADER_TIMEOUT = 5000;
+
+function parseV1(buffer) {
+    const end = buffer.indexOf('\r\n');
+    if (end === -1) {
+        if (buffer.length >= V1_MAX_LENGTH) throw new Error('PROXY v1 header too long');
+        return null;
+    }
+
+    const parts = buffer.slice(0, end).toString('ascii').split(' ');
+    const length = end + 2;
+
+    if (parts[1] === 'UNKNOWN') {
+        return { length, info: null };
+    }
+    if (parts.length !== 6 || !['TCP4', 'TCP6'].includes(parts[1])) {
+        throw new Error('Malformed PROXY v1 header');
+    }
+    if (!net.isIP(parts[2]) || !net.isIP(parts[3])) {
+        throw new Error('Malformed PROXY v1 addresses');
+    }
+
+    return {
+        length,
+        info: {
+            source: parts[2],
+            destination: parts[3],
+            sourcePort: Number(parts[4]),
+            destinationPort: Number(parts[5])
+        }
+    };
+}
+
+function formatV6(bytes) {
+    const groups = [];
+    for (let i = 0; i < 16; i += 2) {
+        groups.push(bytes.readUInt16BE(i).toString(16));
+    }
+    return groups.join(':');
+}
+
+function parseV2(buffer) {
+    if (buffer.length < 16) return null;
+
+    const version = buffer[12] >> 4;
+    const command = buffer[12] & 0x0f;
+    const family = buffer[13] >> 4;
+    const length = 16 + buffer.readUInt16BE(14);
+
+    if (version !== 2) throw new Error('Unsupported PROXY protocol version');
+    if (buffer.length < length) return null;
+
+    // LOCAL komutu (health check) ve AF_UNSPEC/AF_UNIX: adres bilgisi yok
+    if (command === 0x0 || (family !== 0x1 && family !== 0x2)) {
+        return { length, info: null };
+    }
+
+    const body = buffer.slice(16, length);
+    if (family === 0x1) {
+        return {
+            length,
+            info: {
+                source: Array.from(body.slice(0, 4)).join('.'),
+                destination: Array.from(body.slice(4, 8)).join('.'),
+                sourcePort: body.readUInt16BE(8),
+                destinationPort: body.readUInt16BE(10)
+            }
+        };
+    }
+
+    return {
+        length,
+        info: {
+            source: formatV6(body.slice(0, 16)),
+            destination: formatV6(body.slice(16, 32)),
+            sourcePort: body.readUInt16BE(32),
+            destinationPort: body.readUInt16BE(34)
+        }
+    };
+}
+
+/**
+ * Parse a PROXY header at the start of buffer.
+ * Returns null while more data is needed, { length, info } once complete
+ * (info is null for UNKNOWN/LOCAL) and throws on anything else.
+ */
+function parseHeader(buffer) {
+    const v2Bytes = Math.min(buffer.length, V2_SIGNATURE.length);
+    if (buffer.slice(0, v2Bytes).equals(V2_SIGNATURE.slice(0, v2Bytes))) {
+        return buffer.length < V2_SIGNATURE.length ? null : parseV2(buffer);
+    }
+
+    const v1Bytes = Math.min(buffer.length, V1_PREFIX.length);
+    if (buffer.slice(0, v1Bytes).equals(V1_PREFIX.slice(0, v1Bytes))) {
+        return parseV1(buffer);
+    }
+
+    throw new Error('Missing PROXY protocol header');
+}
+
+/**
+ * Create a TCP server that strips the PROXY header from each connection and
+ * hands the socket to the HTTP server. Connections without a valid header
+ * are closed.
+ */
+function createProxyProtocolServer(httpServer) {
+    return net.createServer(socket => {
+        let buffer = Buffer.alloc(0);
+
+        const fail = (error) => {
+            logger.warn(`Rejected connection from ${socket.remoteAddress}: ${error.message}`);
+            socket.destroy();
+        };
+
+        const onData = (chunk) => {
+            buffer = Buffer.concat([buffer, chunk]);
+
+            let header;
+            try {
+                header = parseHeader(buffer);
+            } catch (error) {
+                socket.removeListener('data', onData);
+                fail(error);
+                return;
+            }
+            if (!header) return;
+
+            socket.removeListener('data', onData);
+            socket.removeListener('timeout', onTimeout);
+            socket.setTimeout(0);
+            socket.pause();
+            socket.proxyProtocol = header.info;
+
+            // Başlıktan sonra gelen HTTP verisi sokete geri verilir
+            const rest = buffer.slice(header.length);
+            if (rest.length > 0) socket.unshift(rest);
+
+            httpServer.emit('connection', socket);
+            socket.resume();
+        };
+
+        const onTimeout = () => fail(new Error('PROXY protocol header timeout'));
+
+        socket.setTimeout(HEADER_TIMEOUT);
+        socket.on('timeout', onTimeout);
+        socket.on('data', onData);
+        socket.on('error', () => socket.destroy());
+    });
+}
+
+module.exports = {
+    parseHeader,
+    createProxyProtocolServer
+};
@@ -0,0 +1,27 @@
+/**
+ * Size strings from the config ("100MB", "512kb", "1.5 GB") in bytes
+ */
+
+const UNITS = {
+    b: 1,
+    kb: 1024,
+    mb: 1024 * 1024,
+    gb: 1024 * 1024 * 1024
+};
+
+/**
+ * @param {string|number} value
+ * @returns {number|null} bytes, or null when the value is not a size
+ */
+function parseSize(value) {
+    if (typeof value === 'number') return value;
+
+    const match = /^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/i.exec(String(value).trim());
+    if (!match) return null;
+
+    return Math.floor(Number(match[1]) * UNITS[(match[2] || 'b').toLowerCase()]);
+}
+
+module.exports = {
+    parseSize
+};
@@ -0,0 +1,84 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const challengeService = require('../src/services/challenge-service');
+
+const settings = {
+    challenge: { secret: 's'.repeat(32), difficulty: 8, solveTimeout: 60, clearanceTtl: 3600 }
+};
+const UA = 'Mozilla/5.0';
+
+function solve(token, difficulty) {
+    for (let counter = 0; ; counter++) {
+        const hash = crypto.createHash('sha256').update(`${token}:${counter}`).digest();
+        if (challengeService.leadingZeroBits(hash) >= difficulty) return counter;
+    }
+}
+
+describe('challenge proof of work', () => {
+    it('accepts a solution once', () => {
+        const { token, difficulty } = challengeService.issue('198.51.100.7', UA, settings);
+        const counter = solve(token, difficulty);
+
+        assert.equal(challengeService.verify(token, counter, '198.51.100.7', UA, settings), null);
+        assert.equal(challengeService.verify(token, counter, '198.51.100.7', UA, settings), 'Challenge was already solved');
+    });
+
+    it('rejects insufficient or malformed work', () => {
+        const { token } = challengeService.issue('198.51.100.7', UA, { challenge: { ...settings.challenge, difficulty: 24 } });
+
+        assert.equal(challengeService.verify(token, 'abc', '198.51.100.7', UA, settings), 'Proof of work does not meet the difficulty');
+        assert.equal(challengeService.verify(token, -1, '198.51.100.7', UA, settings), 'Proof of work does not meet the difficulty');
+    });
+
+    it('binds the challenge to the client subnet and User-Agent', () => {
+        const { token, difficulty } = challengeService.issue('2001:db8:1:2::7', UA, settings);
+        const counter = solve(token, difficulty);
+
+        assert.equal(challengeService.verify(token, counter, '198.51.100.8', UA, settings), 'Challenge was issued to another client');
+        assert.equal(challengeService.verify(token, counter, '2001:db8:1:2::7', 'curl/8.0', settings), 'Challenge was issued to another client');
+        // Aynı /64 içindeki başka adres aynı istemci sayılır
+        assert.equal(challengeService.verify(token, counter, '2001:db8:1:2::99', UA, settings), null);
+    });
+
+    it('rejects tampered, foreign and expired tokens', () => {
+        const { token } = challengeService.issue('198.51.100.7', UA, settings);
+        const [payload, signature] = token.split('.');
+        const data = JSON.parse(Buffer.from(payload, 'base64url').toString());
+        const tampered = `${Buffer.from(JSON.stringify({ ...data, d: 0 })).toString('base64url')}.${signature}`;
+        const foreign = { challenge: { ...settings.challenge, secret: 'o'.repeat(32) } };
+        const expired = challengeService.issue('198.51.100.7', UA, { challenge: { ...settings.challenge, solveTimeout: -1 } });
+
+        assert.equal(challengeService.verify(tampered, 0, '198.51.100.7', UA, settings), 'Challenge is invalid or expired');
+        assert.equal(challengeService.verify(token, 0, '198.51.100.7', UA, foreign), 'Challenge is invalid or expired');
+        assert.equal(challengeService.verify(expired.token, 0, '198.51.100.7', UA, settings), 'Challenge is invalid or expired');
+        assert.equal(challengeService.verify('not.a-token', 0, '198.51.100.7', UA, settings), 'Challenge is invalid or expired');
+    });
+});
+
+describe('clearance cookie', () => {
+    it('is valid only for the client it was issued to', () => {
+        const { value, maxAge } = challengeService.createClearance('198.51.100.7', UA, settings);
+
+        assert.equal(maxAge, 3600);
+        assert.ok(challengeService.checkClearance(value, '198.51.100.7', UA, settings));
+        assert.equal(challengeService.checkClearance(value, '198.51.100.8', UA, settings), null);
+        assert.equal(challengeService.checkClearance(value, '198.51.100.7', 'curl/8.0', settings), null);
+        assert.equal(challengeService.checkClearance(`${value}x`, '198.51.100.7', UA, settings), null);
+    });
+
+    it('cannot stand in for a challenge and the other way round', () => {
+        const clearance = challengeService.createClearance('198.51.100.7', UA, settings);
+        const { token } = challengeService.issue('198.51.100.7', UA, settings);
+
+        assert.equal(challengeService.verify(clearance.value, 0, '198.51.100.7', UA, settings), 'Challenge is invalid or expired');
+        assert.equal(challengeService.checkClearance(token, '198.51.100.7', UA, settings), null);
+    });
+});
+
+describe('leadingZeroBits', () => {
+    it('counts zero bits across bytes', () => {
+        assert.equal(challengeService.leadingZeroBits(Buffer.from([0x00, 0x00, 0x1f])), 19);
+        assert.equal(challengeService.leadingZeroBits(Buffer.from([0x80])), 0);
+    });
+});
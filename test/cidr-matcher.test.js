@@ -0,0 +1,64 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const CidrMatcher = require('../src/utils/cidr-matcher');
+
+describe('CidrMatcher', () => {
+    it('matches addresses inside IPv4 and IPv6 ranges', () => {
+        const matcher = new CidrMatcher();
+        matcher.add('10.0.0.0/8');
+        matcher.add('2001:db8::/32');
+
+        assert.ok(matcher.has('10.255.1.2'));
+        assert.ok(matcher.has('2001:db8:ffff::1'));
+        assert.ok(!matcher.has('11.0.0.1'));
+        assert.ok(!matcher.has('2001:db9::1'));
+    });
+
+    it('returns the most specific range', () => {
+        const matcher = new CidrMatcher();
+        matcher.add('10.0.0.0/8', 'wide');
+        matcher.add('10.1.0.0/16', 'narrow');
+        matcher.add('10.1.2.3', 'host');
+
+        assert.equal(matcher.match('10.2.0.1').data, 'wide');
+        assert.equal(matcher.match('10.1.9.9').data, 'narrow');
+        assert.equal(matcher.match('10.1.2.3').data, 'host');
+    });
+
+    it('matches IPv4-mapped IPv6 addresses against IPv4 ranges', () => {
+        const matcher = new CidrMatcher();
+        matcher.add('192.0.2.0/24');
+
+        assert.ok(matcher.has('::ffff:192.0.2.10'));
+    });
+
+    it('keeps IPv4 and IPv6 ranges apart', () => {
+        const matcher = new CidrMatcher();
+        matcher.add('0.0.0.0/0');
+
+        assert.ok(matcher.has('203.0.113.1'));
+        assert.ok(!matcher.has('2001:db8::1'));
+    });
+
+    it('counts ranges it cannot parse', () => {
+        const matcher = new CidrMatcher();
+
+        assert.equal(matcher.add('10.0.0.0/33'), false);
+        assert.equal(matcher.add('not-a-range'), false);
+        assert.equal(matcher.invalid, 2);
+        assert.equal(matcher.size, 0);
+        assert.equal(matcher.match('bogus'), null);
+    });
+
+    it('grows past its initial capacity', () => {
+        const matcher = new CidrMatcher();
+        for (let i = 0; i < 5000; i++) {
+            matcher.add(`2001:db8:${(i >> 8).toString(16)}:${(i & 0xff).toString(16)}::/64`, i);
+        }
+
+        assert.equal(matcher.size, 5000);
+        assert.equal(matcher.match('2001:db8:13:87::1').data, 0x1387);
+        assert.equal(matcher.match('2001:db8:0:5:ffff::1').data, 5);
+        assert.ok(!matcher.has('2001:db8:13:88::1'));
+    });
+});
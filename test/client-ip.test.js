@@ -0,0 +1,74 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveClientIP, parseForwarded } = require('../src/utils/client-ip');
+
+function settings(headers = ['x-forwarded-for']) {
+    return { trustedProxies: { presets: [], ranges: ['10.0.0.0/8', '2001:db8:ffff::/48'], headers } };
+}
+
+function request(peer, headers = {}, proxyProtocol) {
+    return { headers, socket: { remoteAddress: peer, proxyProtocol } };
+}
+
+describe('resolveClientIP', () => {
+    it('ignores forwarding headers from untrusted peers', () => {
+        const result = resolveClientIP(request('203.0.113.9', { 'x-forwarded-for': '198.51.100.7' }), settings());
+
+        assert.equal(result.ip, '203.0.113.9');
+        assert.equal(result.source, 'socket');
+    });
+
+    it('walks X-Forwarded-For from the right past trusted proxies', () => {
+        const req = request('10.0.0.1', { 'x-forwarded-for': '192.0.2.66, 198.51.100.7, 10.0.0.2' });
+        const result = resolveClientIP(req, settings());
+
+        assert.equal(result.ip, '198.51.100.7');
+        assert.equal(result.source, 'x-forwarded-for');
+        assert.deepEqual(result.chain, ['192.0.2.66', '198.51.100.7', '10.0.0.2', '10.0.0.1']);
+    });
+
+    it('stops at the proxy that sent an unreadable address', () => {
+        const req = request('10.0.0.1', { 'x-forwarded-for': '198.51.100.7, unknown' });
+        const result = resolveClientIP(req, settings());
+
+        assert.equal(result.ip, '10.0.0.1');
+        assert.deepEqual(result.chain, ['198.51.100.7', 'unknown', '10.0.0.1']);
+    });
+
+    it('normalizes IPv6, IPv4-mapped and port forms', () => {
+        const req = request('::ffff:10.0.0.1', { 'x-forwarded-for': '[2001:DB8::7]:4711, 2001:db8:ffff::1' });
+        const result = resolveClientIP(req, settings());
+
+        assert.equal(result.ip, '2001:db8::7');
+    });
+
+    it('reads the Forwarded header', () => {
+        const req = request('10.0.0.1', { forwarded: 'for="[2001:db8::7]:4711";proto=https, for=10.0.0.3' });
+        const result = resolveClientIP(req, settings(['forwarded']));
+
+        assert.equal(result.ip, '2001:db8::7');
+        assert.equal(result.source, 'forwarded');
+    });
+
+    it('reads only the first configured header that is present', () => {
+        const req = request('10.0.0.1', { 'x-real-ip': '192.0.2.66', 'x-forwarded-for': '198.51.100.7' });
+        const result = resolveClientIP(req, settings(['x-forwarded-for', 'x-real-ip']));
+
+        assert.equal(result.ip, '198.51.100.7');
+    });
+
+    it('uses the PROXY protocol source behind a trusted load balancer', () => {
+        const req = request('10.0.0.1', {}, { source: '198.51.100.20' });
+        const result = resolveClientIP(req, settings());
+
+        assert.equal(result.ip, '198.51.100.20');
+        assert.equal(result.source, 'proxy-protocol');
+    });
+});
+
+describe('parseForwarded', () => {
+    it('keeps quoted commas and marks elements without for=', () => {
+        assert.deepEqual(parseForwarded('for="[2001:db8::1]:80", proto=https, for=192.0.2.1;by="a,b"'),
+            ['[2001:db8::1]:80', 'unknown', '192.0.2.1']);
+    });
+});
@@ -0,0 +1,78 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseIP, parseCIDR, normalizeIP, subnetKey } = require('../src/utils/ip-utils');
+
+describe('parseIP', () => {
+    it('parses IPv4 and IPv6 into bytes', () => {
+        assert.deepEqual(parseIP('192.0.2.1'), { version: 4, bytes: Uint8Array.from([192, 0, 2, 1]) });
+
+        const v6 = parseIP('2001:db8::1');
+        assert.equal(v6.version, 6);
+        assert.equal(v6.bytes.length, 16);
+        assert.equal(v6.bytes[0], 0x20);
+        assert.equal(v6.bytes[15], 1);
+    });
+
+    it('returns IPv4-mapped IPv6 addresses as IPv4', () => {
+        assert.deepEqual(parseIP('::ffff:192.0.2.1'), parseIP('192.0.2.1'));
+        assert.deepEqual(parseIP('::ffff:c000:201'), parseIP('192.0.2.1'));
+    });
+
+    it('rejects invalid addresses', () => {
+        for (const value of ['', '256.0.0.1', '1.2.3', '01.2.3.4', '2001:db8::1::2', '2001:db8:0:0:0:0:0:0:1', 'g::1', 'localhost', null]) {
+            assert.equal(parseIP(value), null, String(value));
+        }
+    });
+});
+
+describe('parseCIDR', () => {
+    it('clears host bits', () => {
+        assert.deepEqual(parseCIDR('192.0.2.77/24'), { version: 4, bytes: Uint8Array.from([192, 0, 2, 0]), prefix: 24 });
+        assert.equal(parseCIDR('2001:db8:ffff::/32').bytes[4], 0);
+    });
+
+    it('treats a bare address as a full-length prefix', () => {
+        assert.equal(parseCIDR('192.0.2.1').prefix, 32);
+        assert.equal(parseCIDR('2001:db8::1').prefix, 128);
+    });
+
+    it('converts IPv4-mapped ranges to an IPv4 prefix', () => {
+        assert.deepEqual(parseCIDR('::ffff:10.0.0.0/104'), parseCIDR('10.0.0.0/8'));
+    });
+
+    it('rejects out of range prefixes', () => {
+        for (const value of ['10.0.0.0/33', '2001:db8::/129', '10.0.0.0/-1', '10.0.0.0/8/1', '10.0.0.0/']) {
+            assert.equal(parseCIDR(value), null, value);
+        }
+    });
+});
+
+describe('normalizeIP', () => {
+    it('returns one canonical form for every representation', () => {
+        const cases = {
+            '2001:0DB8:0000:0000:0000:0000:0000:0001': '2001:db8::1',
+            '[2001:db8::1]:443': '2001:db8::1',
+            'fe80::1%eth0': 'fe80::1',
+            '::ffff:192.0.2.1': '192.0.2.1',
+            '192.0.2.1:8080': '192.0.2.1',
+            '2001:db8:0:0:1:0:0:1': '2001:db8::1:0:0:1',
+            '2001:db8:0:1:1:1:1:1': '2001:db8:0:1:1:1:1:1'
+        };
+        for (const [input, expected] of Object.entries(cases)) {
+            assert.equal(normalizeIP(input), expected, input);
+        }
+    });
+
+    it('returns null for non-addresses', () => {
+        assert.equal(normalizeIP('unknown'), null);
+        assert.equal(normalizeIP(undefined), null);
+    });
+});
+
+describe('subnetKey', () => {
+    it('groups IPv6 clients by /64 and keeps IPv4 addresses', () => {
+        assert.equal(subnetKey('2001:db8:1:2:aaaa::1'), '2001:db8:1:2::/64');
+        assert.equal(subnetKey('192.0.2.1'), '192.0.2.1');
+        assert.equal(subnetKey('192.0.2.1', 64, 24), '192.0.2.0/24');
+    });
+});
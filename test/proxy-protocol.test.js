@@ -0,0 +1,91 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseHeader } = require('../src/utils/proxy-protocol');
+const { normalizeIP } = require('../src/utils/ip-utils');
+
+const V2_SIGNATURE = Buffer.from('0d0a0d0a000d0a515549540a', 'hex');
+
+function v2Header(command, family, body) {
+    const header = Buffer.alloc(4);
+    header[0] = 0x20 | command;
+    header[1] = (family << 4) | 0x1;
+    header.writeUInt16BE(body.length, 2);
+    return Buffer.concat([V2_SIGNATURE, header, body]);
+}
+
+describe('PROXY protocol v1', () => {
+    it('parses TCP4 and TCP6 headers', () => {
+        const header = 'PROXY TCP4 198.51.100.7 10.0.0.1 51234 443\r\n';
+        assert.deepEqual(parseHeader(Buffer.from(`${header}GET / HTTP/1.1\r\n`)), {
+            length: header.length,
+            info: { source: '198.51.100.7', destination: '10.0.0.1', sourcePort: 51234, destinationPort: 443 }
+        });
+
+        const { info } = parseHeader(Buffer.from('PROXY TCP6 2001:db8::7 2001:db8::1 51234 443\r\n'));
+        assert.equal(info.source, '2001:db8::7');
+    });
+
+    it('returns no addresses for UNKNOWN', () => {
+        assert.deepEqual(parseHeader(Buffer.from('PROXY UNKNOWN\r\n')), { length: 15, info: null });
+    });
+
+    it('waits for the rest of a partial header', () => {
+        assert.equal(parseHeader(Buffer.from('PRO')), null);
+        assert.equal(parseHeader(Buffer.from('PROXY TCP4 198.51.100.7')), null);
+    });
+
+    it('rejects malformed and oversized headers', () => {
+        assert.throws(() => parseHeader(Buffer.from('PROXY TCP4 198.51.100.7 10.0.0.1 1\r\n')), /Malformed/);
+        assert.throws(() => parseHeader(Buffer.from('PROXY TCP4 evil 10.0.0.1 1 2\r\n')), /addresses/);
+        assert.throws(() => parseHeader(Buffer.from(`PROXY TCP4 ${'1'.repeat(120)}`)), /too long/);
+    });
+});
+
+describe('PROXY protocol v2', () => {
+    it('parses IPv4 addresses', () => {
+        const body = Buffer.from([198, 51, 100, 7, 10, 0, 0, 1, 0xc8, 0x22, 0x01, 0xbb]);
+        const buffer = Buffer.concat([v2Header(0x1, 0x1, body), Buffer.from('GET /')]);
+
+        assert.deepEqual(parseHeader(buffer), {
+            length: 28,
+            info: { source: '198.51.100.7', destination: '10.0.0.1', sourcePort: 51234, destinationPort: 443 }
+        });
+    });
+
+    it('parses IPv6 addresses', () => {
+        const body = Buffer.alloc(36);
+        Buffer.from('20010db8000000000000000000000007', 'hex').copy(body, 0);
+        Buffer.from('20010db8000000000000000000000001', 'hex').copy(body, 16);
+        body.writeUInt16BE(51234, 32);
+        body.writeUInt16BE(443, 34);
+
+        const { length, info } = parseHeader(v2Header(0x1, 0x2, body));
+        assert.equal(length, 52);
+        assert.equal(normalizeIP(info.source), '2001:db8::7');
+        assert.equal(normalizeIP(info.destination), '2001:db8::1');
+        assert.equal(info.sourcePort, 51234);
+    });
+
+    it('returns no addresses for LOCAL and unsupported families', () => {
+        assert.deepEqual(parseHeader(v2Header(0x0, 0x1, Buffer.alloc(12))), { length: 28, info: null });
+        assert.deepEqual(parseHeader(v2Header(0x1, 0x3, Buffer.alloc(216))), { length: 232, info: null });
+    });
+
+    it('waits for the rest of a partial header', () => {
+        const buffer = v2Header(0x1, 0x1, Buffer.alloc(12));
+        assert.equal(parseHeader(buffer.slice(0, 8)), null);
+        assert.equal(parseHeader(buffer.slice(0, 20)), null);
+    });
+
+    it('rejects other versions', () => {
+        const buffer = v2Header(0x1, 0x1, Buffer.alloc(12));
+        buffer[12] = 0x11;
+        assert.throws(() => parseHeader(buffer), /version/);
+    });
+});
+
+describe('parseHeader', () => {
+    it('rejects connections without a PROXY header', () => {
+        assert.throws(() => parseHeader(Buffer.from('GET / HTTP/1.1\r\n')), /Missing PROXY protocol header/);
+    });
+});
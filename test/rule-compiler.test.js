@@ -0,0 +1,130 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { compileRules } = require('../src/rules/compiler');
+const { backtrackingRisk } = require('../src/rules/regex-safety');
+
+function context(overrides = {}) {
+    return {
+        ip: '198.51.100.7',
+        asn: 'AS64496',
+        country: 'TR',
+        userAgent: 'Mozilla/5.0',
+        path: '/',
+        method: 'GET',
+        headers: {},
+        now: new Date('2026-10-19T12:00:00Z'),
+        analysis: { riskScore: 0, signals: [], tags: [] },
+        ...overrides
+    };
+}
+
+function compileOne(rule) {
+    const { rules, errors } = compileRules([rule]);
+    assert.deepEqual(errors, []);
+    return rules[0];
+}
+
+describe('compileRules', () => {
+    it('fills defaults and orders rules by priority, then position', () => {
+        const { rules, errors } = compileRules([
+            { action: 'block', match: {} },
+            { id: 'first', action: 'allow', priority: 10, match: {} },
+            { id: 'off', action: 'block', enabled: false, match: {} }
+        ]);
+
+        assert.deepEqual(errors, []);
+        assert.deepEqual(rules.map(rule => rule.id), ['first', 'rule-1']);
+        assert.equal(rules[1].reason, 'RULE_BLOCKED');
+    });
+
+    it('matches network, path, method and header conditions', () => {
+        const rule = compileOne({
+            action: 'block',
+            match: {
+                cidr: '198.51.100.0/24',
+                path: '/admin/*',
+                method: ['post', 'PUT'],
+                headers: { 'X-Api-Key': false, 'Accept-Language': '^tr' }
+            }
+        });
+        const ctx = context({ path: '/admin/users', method: 'POST', headers: { 'accept-language': 'tr-TR' } });
+
+        assert.ok(rule.matches(ctx));
+        assert.ok(!rule.matches({ ...ctx, ip: '203.0.113.1' }));
+        assert.ok(!rule.matches({ ...ctx, path: '/public' }));
+        assert.ok(!rule.matches({ ...ctx, headers: { ...ctx.headers, 'x-api-key': 'k' } }));
+    });
+
+    it('combines conditions with any and not', () => {
+        const rule = compileOne({
+            action: 'tag',
+            tags: 'crawler',
+            match: { any: [{ ua: 'bot' }, { asn: 64497 }], not: { country: 'tr' } }
+        });
+
+        assert.ok(rule.matches(context({ userAgent: 'Googlebot', country: 'US' })));
+        assert.ok(rule.matches(context({ asn: 'AS64497', country: 'US' })));
+        assert.ok(!rule.matches(context({ userAgent: 'Googlebot' })));
+    });
+
+    it('handles time windows across midnight', () => {
+        const rule = compileOne({ action: 'challenge', match: { time: { from: '22:00', to: '06:00', timezone: 'UTC' } } });
+
+        assert.ok(rule.matches(context({ now: new Date('2026-10-19T23:30:00Z') })));
+        assert.ok(rule.matches(context({ now: new Date('2026-10-19T05:59:00Z') })));
+        assert.ok(!rule.matches(context({ now: new Date('2026-10-19T12:00:00Z') })));
+    });
+
+    it('reports errors by index, field and rule id', () => {
+        const { rules, errors } = compileRules([
+            { id: 'ok', action: 'block', match: {} },
+            { id: 'bad-ua', action: 'block', match: { ua: '(' } },
+            { action: 'score', match: {} },
+            { id: 'ok', action: 'allow', match: {} },
+            { action: 'block', match: { cidr: '10.0.0.0/33' } },
+            { action: 'block', match: { referer: 'x' } }
+        ]);
+
+        assert.equal(rules.length, 1);
+        assert.match(errors[0], /^\[1\]\.match\.ua \(rule "bad-ua"\): not a valid regular expression/);
+        assert.match(errors[1], /^\[2\]\.points: /);
+        assert.equal(errors[2], '[3].id (rule "ok"): duplicate rule id "ok"');
+        assert.match(errors[3], /^\[4\]\.match\.cidr: "10\.0\.0\.0\/33" is not a valid CIDR range/);
+        assert.match(errors[4], /^\[5\]\.match\.referer: unknown condition/);
+    });
+
+    it('rejects regular expressions that can backtrack catastrophically', () => {
+        const { errors } = compileRules([
+            { id: 'nested', action: 'block', match: { ua: '(a+)+$' } },
+            { id: 'header', action: 'block', match: { headers: { Accept: '(\\w|\\d)*x' } } }
+        ]);
+
+        assert.deepEqual(errors, [
+            '[0].match.ua (rule "nested"): unsafe regular expression: nested quantifiers are not allowed',
+            '[1].match.headers.Accept (rule "header"): unsafe regular expression: repeated alternation is not allowed'
+        ]);
+    });
+});
+
+describe('backtrackingRisk', () => {
+    it('accepts common rule patterns', () => {
+        for (const pattern of ['bot|crawler|spider', '^curl/\\d+\\.\\d+', 'python-requests/[\\d.]+', '^(GET|HEAD)$', '[a-z]+@[a-z]+\\.com', 'a{2,5}b*c', '(?:ab)+', '\\d+-\\d+']) {
+            assert.equal(backtrackingRisk(pattern), null, pattern);
+        }
+    });
+
+    it('rejects nested and adjacent overlapping quantifiers, repeated alternation and backreferences', () => {
+        const cases = {
+            '(a+)+$': 'nested quantifiers',
+            '(?:a*b?)*': 'nested quantifiers',
+            '(a|ab)*c': 'repeated alternation',
+            '\\d+\\w*x': 'adjacent quantifiers',
+            '.*.*=.*': 'adjacent quantifiers',
+            '(a)\\1': 'backreferences',
+            '(?<x>a)\\k<x>': 'backreferences'
+        };
+        for (const [pattern, reason] of Object.entries(cases)) {
+            assert.match(backtrackingRisk(pattern) || '', new RegExp(reason), pattern);
+        }
+    });
+});
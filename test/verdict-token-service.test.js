@@ -0,0 +1,150 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const verdictTokenService = require('../src/services/verdict-token-service');
+
+const SECRET = 's'.repeat(32);
+const UA = 'Mozilla/5.0';
+
+function hmacSettings(keys = [{ id: 'k1', secret: SECRET }], activeKey = '') {
+    return { verdictTokens: { enabled: true, algorithm: 'hmac', ttl: 300, header: 'x-guardian-token', activeKey, keys } };
+}
+
+function analysis(overrides = {}) {
+    return { ip: '198.51.100.7', riskScore: 12, isBlocked: false, reason: null, signals: [], ...overrides };
+}
+
+describe('verdict tokens', () => {
+    let dir;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'guardian-tokens-'));
+        verdictTokenService.storeFile = path.join(dir, 'revoked-tokens.json');
+    });
+
+    beforeEach(() => {
+        verdictTokenService.revocations = [];
+    });
+
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('signs and verifies HS256 tokens', () => {
+        const settings = hmacSettings();
+        const { token } = verdictTokenService.issue(analysis({ isBlocked: true, reason: 'TOR_EXIT_NODE' }), UA, settings);
+        const { payload } = verdictTokenService.verify(token, { ip: '198.51.100.7', userAgent: UA }, settings);
+
+        assert.equal(payload.decision, 'block');
+        assert.equal(payload.reason, 'TOR_EXIT_NODE');
+        assert.equal(payload.score, 12);
+        assert.equal(payload.exp - payload.iat, 300);
+    });
+
+    it('signs and verifies EdDSA tokens', () => {
+        const { privateKey } = crypto.generateKeyPairSync('ed25519');
+        const settings = {
+            verdictTokens: {
+                ...hmacSettings().verdictTokens,
+                algorithm: 'ed25519',
+                keys: [{ id: 'ed1', privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }) }]
+            }
+        };
+        const { token } = verdictTokenService.issue(analysis(), UA, settings);
+
+        assert.equal(JSON.parse(Buffer.from(token.split('.')[0], 'base64url')).alg, 'EdDSA');
+        assert.ok(verdictTokenService.verify(token, {}, settings).payload);
+    });
+
+    it('binds the token to the canonical client address and User-Agent', () => {
+        const settings = hmacSettings();
+        const { token } = verdictTokenService.issue(analysis({ ip: '2001:db8::7' }), UA, settings);
+
+        assert.ok(verdictTokenService.verify(token, { ip: '2001:0DB8:0:0::7', userAgent: UA }, settings).payload);
+        assert.equal(verdictTokenService.verify(token, { ip: '2001:db8::8' }, settings).error, 'Token was issued to another address');
+        assert.equal(verdictTokenService.verify(token, { userAgent: 'curl/8.0' }, settings).error, 'Token was issued to another client');
+    });
+
+    it('rejects tampered, malformed and expired tokens', () => {
+        const settings = hmacSettings();
+        const { token } = verdictTokenService.issue(analysis({ isBlocked: true }), UA, settings);
+        const [header, payload, signature] = token.split('.');
+        const allowed = Buffer.from(JSON.stringify({
+            ...JSON.parse(Buffer.from(payload, 'base64url')),
+            decision: 'allow'
+        })).toString('base64url');
+        const expired = verdictTokenService.issue(analysis(), UA, {
+            verdictTokens: { ...settings.verdictTokens, ttl: -1 }
+        });
+
+        assert.equal(verdictTokenService.verify(`${header}.${allowed}.${signature}`, {}, settings).error, 'Invalid signature');
+        assert.equal(verdictTokenService.verify('abc', {}, settings).error, 'Malformed token');
+        assert.equal(verdictTokenService.verify('a.b.c', {}, settings).error, 'Malformed token');
+        assert.equal(verdictTokenService.verify(expired.token, {}, settings).error, 'Token expired');
+    });
+
+    it('keeps verifying old keys after rotation until they are removed', () => {
+        const oldKey = { id: 'k1', secret: SECRET };
+        const newKey = { id: 'k2', secret: 'n'.repeat(32) };
+        const { token } = verdictTokenService.issue(analysis(), UA, hmacSettings([oldKey]));
+
+        const rotated = hmacSettings([oldKey, newKey], 'k2');
+        assert.ok(verdictTokenService.verify(token, {}, rotated).payload);
+        assert.equal(JSON.parse(Buffer.from(verdictTokenService.issue(analysis(), UA, rotated).token.split('.')[0], 'base64url')).kid, 'k2');
+        assert.equal(verdictTokenService.verify(token, {}, hmacSettings([newKey])).error, 'Unknown signing key');
+    });
+
+    it('revokes single tokens and every token of an address', () => {
+        const settings = hmacSettings();
+        const first = verdictTokenService.issue(analysis(), UA, settings).token;
+        const second = verdictTokenService.issue(analysis(), UA, settings).token;
+        const other = verdictTokenService.issue(analysis({ ip: '203.0.113.1' }), UA, settings).token;
+
+        verdictTokenService.revoke({ token: first }, settings);
+        assert.equal(verdictTokenService.verify(first, {}, settings).error, 'Token revoked');
+        assert.ok(verdictTokenService.verify(second, {}, settings).payload);
+
+        verdictTokenService.revoke({ ip: '::ffff:198.51.100.7' }, settings);
+        assert.equal(verdictTokenService.verify(second, {}, settings).error, 'Token revoked');
+        assert.ok(verdictTokenService.verify(other, {}, settings).payload);
+
+        const stored = JSON.parse(fs.readFileSync(verdictTokenService.storeFile, 'utf8')).revocations;
+        assert.deepEqual(stored.map(entry => entry.type), ['token', 'ip']);
+        assert.throws(() => verdictTokenService.revoke({ ip: 'nope' }, settings), /not a valid IP address/);
+    });
+
+    it('issues no token for verdicts that depend on the request', () => {
+        const settings = hmacSettings();
+        const scoped = [
+            analysis({ isBlocked: true, reason: 'RULE_BLOCKED', rules: { matched: ['admin'] } }),
+            analysis({ isBlocked: true, reason: 'RATE_LIMITED', rateLimit: { retryAfter: 10 } }),
+            analysis({ challenge: true, reason: 'CHALLENGE_REQUIRED' }),
+            analysis({ clearance: { expiresAt: new Date().toISOString() } }),
+            analysis({ shadow: { isBlocked: false, challenge: true } })
+        ];
+
+        scoped.forEach(verdict => assert.equal(verdictTokenService.issue(verdict, UA, settings), null));
+        assert.equal(verdictTokenService.issue(analysis(), UA, { verdictTokens: { ...settings.verdictTokens, enabled: false } }), null);
+    });
+
+    it('produces tokens the backend middlewares accept', () => {
+        const settings = hmacSettings();
+        const { token } = verdictTokenService.issue(analysis({ ip: '2001:db8::7', isBlocked: true, reason: 'VPN_PROXY_DETECTED' }), UA, settings);
+
+        for (const file of ['../guardian-middleware', '../backend-integration/guardian-middleware']) {
+            const GuardianMiddleware = require(file);
+            const middleware = Object.assign(Object.create(GuardianMiddleware.prototype), {
+                verdictTokens: { secrets: { k1: SECRET } },
+                tokenKeys: verdictTokenService.getVerificationData(settings)
+            });
+            const ip = middleware.normalizeIP('[2001:0db8:0000::7]:443');
+
+            assert.equal(middleware.verifyVerdictToken(token, ip, UA).isBlocked, true, file);
+            assert.equal(middleware.verifyVerdictToken(token, '2001:db8::8', UA), null, file);
+            assert.equal(middleware.verifyVerdictToken(token, ip, 'curl/8.0'), null, file);
+        }
+    });
+});